@@ -6,6 +6,17 @@
  */
 var Controls = (function(){
   /* Private static attributes */
+  let selectEmitter = function(emitter) {};
+  let brushTool = "obstacle";
+  let handMode = Particles.HAND_NONE;
+  let probeType = Probe.LINE;
+  let eraseMode = false;
+  let obstacleShape = "freehand";
+  let squareBrush = false;
+  let brushSize = 0; //in CSS pixels
+  let pressureBrush = false;
+  let cancelShape = function() {};
+  let refreshHistory = function() {};
 
   /* Private static methods */
   function bindInput(element, func, input) {
@@ -18,6 +29,18 @@ var Controls = (function(){
     const updatePointSize = () => { particles.pointSize = pointSizeSlider.value; };
     bindInput(pointSizeSlider, updatePointSize, "input");
     
+    const ageColoringCheckbox = document.getElementById("age-coloring-checkbox");
+    const updateAgeColoring = () => { particles.ageColoring = ageColoringCheckbox.checked; };
+    bindInput(ageColoringCheckbox, updateAgeColoring, "change");
+    
+    const ageFadingCheckbox = document.getElementById("age-fading-checkbox");
+    const updateAgeFading = () => { particles.ageFading = ageFadingCheckbox.checked; };
+    bindInput(ageFadingCheckbox, updateAgeFading, "change");
+    
+    const ageShrinkingCheckbox = document.getElementById("age-shrinking-checkbox");
+    const updateAgeShrinking = () => { particles.ageShrinking = ageShrinkingCheckbox.checked; };
+    bindInput(ageShrinkingCheckbox, updateAgeShrinking, "change");
+    
     const blurSlider = document.getElementById("blur-slider");
     const updateBlur = () => { fluidify.setKernelSize(gl, blurSlider.value); };
     bindInput(blurSlider, updateBlur, "input");
@@ -48,14 +71,41 @@ var Controls = (function(){
                    2048 * 2048,];
    
     const amountSlider = document.getElementById("amount-slider");
+    const nbParticlesText = document.getElementById("nb-particles-text");
+    const restart = function() {
+      particles.reset(gl, sizes[amountSlider.value]);
+      nbParticlesText.textContent = particles.nbParticles;
+    };
     const updateAmount = function() {
-      const size = sizes[amountSlider.value];
-      particles.reset(gl, size);
-      
-      let nbParticlesText = document.getElementById("nb-particles-text");
+      particles.setNbParticles(gl, sizes[amountSlider.value]);
       nbParticlesText.textContent = particles.nbParticles;
-    }
-    bindInput(amountSlider, updateAmount, "change");
+    };
+    amountSlider.addEventListener("change", updateAmount, false);
+    restart();
+    
+    const lifetimeSlider = document.getElementById("lifetime-slider");
+    const updateLifetime = () => { particles.lifetime = +lifetimeSlider.value; };
+    bindInput(lifetimeSlider, updateLifetime, "input");
+    
+    const seedSlider = document.getElementById("seed-slider");
+    const updateSeed = () => { particles.seed = +seedSlider.value; };
+    bindInput(seedSlider, updateSeed, "input");
+    seedSlider.addEventListener("change", restart, false);
+    
+    const restartButton = document.getElementById("restart-button");
+    restartButton.addEventListener("click", restart, false);
+    
+    const packedStorageButton = document.getElementById("packed-storage-button");
+    const updateStorage = () => { particles.setPackedStorage(gl, packedStorageButton.checked); };
+    bindInput(packedStorageButton, updateStorage, "change");
+    document.getElementById("float-storage-button").addEventListener("change", updateStorage, false);
+    
+    const benchmarkButton = document.getElementById("benchmark-button");
+    benchmarkButton.addEventListener("click", () => { visible.runBenchmark(); }, false);
+    
+    const substepsSlider = document.getElementById("substeps-slider");
+    const updateSubsteps = () => { visible.setSubsteps(+substepsSlider.value); };
+    bindInput(substepsSlider, updateSubsteps, "input");
     
     const gravitySlider = document.getElementById("gravity-slider");
     const updateGravity = () => { particles.acceleration =[0, -gravitySlider.value]; };
@@ -64,26 +114,507 @@ var Controls = (function(){
     const speedSlider = document.getElementById("speed-slider");
     const updateSpeed = () => { particles.speed = speedSlider.value; };
     bindInput(speedSlider, updateSpeed, "input");
+    
+    const pressureCheckbox = document.getElementById("pressure-checkbox");
+    const updatePressure = () => { particles.pressure = pressureCheckbox.checked; };
+    bindInput(pressureCheckbox, updatePressure, "change");
   }
 
-  function bindObstaclesSection(gl, canvas, obstacles) {
+  function bindEmittersSection(gl, particles) {
+    const rates = [10, 30, 100, 300, 1000, 3000, 10000, 30000, Infinity];
+    const degToRad = Math.PI / 180;
+    
+    const directionSlider = document.getElementById("emitter-direction-slider");
+    const spreadSlider = document.getElementById("emitter-spread-slider");
+    const speedSlider = document.getElementById("emitter-speed-slider");
+    const rateSlider = document.getElementById("emitter-rate-slider");
+    const sliders = [directionSlider, spreadSlider, speedSlider, rateSlider];
+    const speciesButtons = document.getElementsByName("species");
+    
+    const readSliders = function(emitter) {
+      emitter.direction = directionSlider.value * degToRad;
+      emitter.spread = spreadSlider.value * degToRad;
+      emitter.speed = +speedSlider.value;
+      emitter.rate = rates[rateSlider.value];
+      for (let i = 0; i < speciesButtons.length; ++i) {
+        if (speciesButtons[i].checked) {
+          emitter.species = +speciesButtons[i].value;
+        }
+      }
+    };
+    
+    const updateSelected = function() {
+      const emitter = particles.selectedEmitter;
+      if (emitter !== null) {
+        readSliders(emitter);
+      }
+    };
+    for (let slider of sliders) {
+      slider.addEventListener("input", updateSelected, false);
+    }
+    for (let i = 0; i < speciesButtons.length; ++i) {
+      speciesButtons[i].addEventListener("change", updateSelected, false);
+    }
+    
+    selectEmitter = function(emitter) {
+      particles.selectedEmitter = emitter;
+      if (emitter !== null) {
+        directionSlider.value = Math.round(emitter.direction / degToRad);
+        spreadSlider.value = Math.round(emitter.spread / degToRad);
+        speedSlider.value = emitter.speed;
+        rateSlider.value = rates.findIndex((rate) => rate >= emitter.rate);
+        for (let i = 0; i < speciesButtons.length; ++i) {
+          speciesButtons[i].checked = (+speciesButtons[i].value === emitter.species);
+        }
+        
+        /* Refresh the tooltips */
+        for (let slider of sliders) {
+          slider.dispatchEvent(new Event("input"));
+        }
+      }
+    };
+    
+    const addButton = document.getElementById("add-emitter-button");
+    addButton.addEventListener("click", function() {
+      let type = Emitter.POINT;
+      if (document.getElementById("line-emitter-button").checked) {
+        type = Emitter.LINE;
+      } else if (document.getElementById("area-emitter-button").checked) {
+        type = Emitter.AREA;
+      }
+      
+      const emitter = new Emitter({
+        type: type,
+        position: [0.5, 0.5],
+        size: (type === Emitter.AREA) ? [0.2, 0.1] : [0.2, 0]
+      });
+      readSliders(emitter);
+      
+      if (particles.addEmitter(emitter)) {
+        selectEmitter(emitter);
+      }
+    }, false);
+    
+    const removeButton = document.getElementById("remove-emitter-button");
+    removeButton.addEventListener("click", function() {
+      if (particles.selectedEmitter !== null) {
+        particles.removeEmitter(particles.selectedEmitter);
+        selectEmitter(null);
+      }
+    }, false);
+    
+    const displayEmittersCheckbox = document.getElementById("display-emitters-checkbox");
+    const updateDisplay = () => { particles.displayEmitters = displayEmittersCheckbox.checked; };
+    bindInput(displayEmittersCheckbox, updateDisplay, "change");
+  }
+
+  function bindObstaclesSection(gl, canvas, particles, obstacles, forceField) {
     const resetButton = document.getElementById("reset-button");
-    resetButton.addEventListener("click", () => { obstacles.reset(gl), false; });
+    resetButton.addEventListener("click", () => {
+      obstacles.beginEdit(gl);
+      obstacles.reset(gl);
+      forceField.reset(gl);
+      refreshHistory();
+    }, false);
+    
+    /* Edits of the obstacles and sinks can be undone */
+    const undoButton = document.getElementById("undo-button");
+    const redoButton = document.getElementById("redo-button");
+    refreshHistory = function() {
+      undoButton.disabled = !obstacles.canUndo;
+      redoButton.disabled = !obstacles.canRedo;
+    };
+    const undo = () => { obstacles.undo(gl); refreshHistory(); };
+    const redo = () => { obstacles.redo(gl); refreshHistory(); };
+    undoButton.addEventListener("click", undo, false);
+    redoButton.addEventListener("click", redo, false);
+    document.addEventListener("keydown", (e) => {
+      if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === "z") {
+        e.preventDefault();
+        if (e.shiftKey) {
+          redo();
+        } else {
+          undo();
+        }
+      }
+    }, false);
+    
+    const historySlider = document.getElementById("history-budget-slider");
+    const updateHistoryBudget = () => {
+      obstacles.setHistoryBudget(gl, historySlider.value * 1024 * 1024);
+      refreshHistory();
+    };
+    bindInput(historySlider, updateHistoryBudget, "input");
+    
+    /* Images are picked with the file input, or dropped onto the canvas */
+    const importImage = function(file) {
+      ObstacleImage.fromFile(file, gl.drawingBufferWidth, gl.drawingBufferHeight)
+        .then((image) => {
+          obstacles.beginEdit(gl);
+          obstacles.setStaticObstacles(gl, image);
+          refreshHistory();
+        })
+        .catch((error) => { alert("Could not import the image: " + error.message); });
+    };
+    
+    const imageInput = document.getElementById("obstacle-image-input");
+    imageInput.addEventListener("change", () => {
+      if (imageInput.files.length > 0) {
+        importImage(imageInput.files[0]);
+      }
+      imageInput.value = "";
+    }, false);
+    document.getElementById("import-image-button").addEventListener("click", () => {
+      imageInput.click();
+    }, false);
+    
+    canvas.addEventListener("dragover", (e) => { e.preventDefault(); }, false);
+    canvas.addEventListener("drop", (e) => {
+      e.preventDefault();
+      if (e.dataTransfer.files.length > 0) {
+        importImage(e.dataTransfer.files[0]);
+      }
+    }, false);
+    
+    /* Moving obstacles are added at the center, with the current material */
+    const addKinematicObstacle = function(params) {
+      params.material = obstacles.material;
+      if (!obstacles.addKinematicObstacle(new KinematicObstacle(params))) {
+        alert("There can be at most " + ObstacleMap.MAX_KINEMATIC_OBSTACLES + " moving obstacles.");
+      }
+    };
+    document.getElementById("add-wheel-button").addEventListener("click", () => {
+      const radius = 0.12 * Math.min(gl.drawingBufferWidth, gl.drawingBufferHeight);
+      addKinematicObstacle({
+        shape: KinematicObstacle.WHEEL,
+        size: [radius, 0.15 * radius],
+        nbBlades: 6,
+        angularSpeed: -1
+      });
+    }, false);
+    document.getElementById("add-gate-button").addEventListener("click", () => {
+      addKinematicObstacle({
+        shape: KinematicObstacle.BOX,
+        size: [16, 0.3 * gl.drawingBufferHeight],
+        amplitude: [0, 0.2],
+        period: 4
+      });
+    }, false);
+    document.getElementById("clear-kinematic-button").addEventListener("click", () => {
+      obstacles.clearKinematicObstacles();
+    }, false);
     
     const brushSizeSlider = document.getElementById("brushsize-slider");
     const updateBrushSize = function() {
       const value = brushSizeSlider.value;
+      brushSize = +value;
       obstacles.brushSize = [value / canvas.clientWidth,
         value / canvas.clientHeight];
+      forceField.brushSize = [2 * value / canvas.clientWidth,
+        2 * value / canvas.clientHeight];
+      particles.handRadius = value * gl.drawingBufferWidth / canvas.clientWidth;
     }
     bindInput(brushSizeSlider, updateBrushSize, "input");
+    window.addEventListener("resize", updateBrushSize, false);
+    
+    const collisionStepsSlider = document.getElementById("collision-steps-slider");
+    const updateCollisionSteps = () => { particles.collisionSteps = +collisionStepsSlider.value; };
+    bindInput(collisionStepsSlider, updateCollisionSteps, "input");
+    
+    const tools = {
+      "obstacle-tool-button": "obstacle",
+      "sink-tool-button": "sink",
+      "force-tool-button": "force",
+      "probe-tool-button": "probe"
+    };
+    for (let id in tools) {
+      const button = document.getElementById(id);
+      const updateTool = () => {
+        if (button.checked) {
+          brushTool = tools[id];
+          cancelShape();
+        }
+      };
+      bindInput(button, updateTool, "change");
+    }
+    
+    /* In hand modes, the pointer acts on the particles instead of painting */
+    const handModes = {
+      "brush-pointer-button": Particles.HAND_NONE,
+      "push-pointer-button": Particles.HAND_PUSH,
+      "attract-pointer-button": Particles.HAND_ATTRACT,
+      "repel-pointer-button": Particles.HAND_REPEL
+    };
+    for (let id in handModes) {
+      const button = document.getElementById(id);
+      const updateHandMode = () => {
+        if (button.checked) {
+          handMode = handModes[id];
+        }
+      };
+      bindInput(button, updateHandMode, "change");
+    }
+    
+    const eraseCheckbox = document.getElementById("erase-checkbox");
+    const updateErase = () => { eraseMode = eraseCheckbox.checked; };
+    bindInput(eraseCheckbox, updateErase, "change");
+    
+    const pressureBrushCheckbox = document.getElementById("pressure-brush-checkbox");
+    const updatePressureBrush = () => { pressureBrush = pressureBrushCheckbox.checked; };
+    bindInput(pressureBrushCheckbox, updatePressureBrush, "change");
+    
+    const shapes = {
+      "freehand-shape-button": "freehand",
+      "line-shape-button": "line",
+      "rectangle-shape-button": "rectangle",
+      "polygon-shape-button": "polygon"
+    };
+    for (let id in shapes) {
+      const button = document.getElementById(id);
+      const updateObstacleShape = () => {
+        if (button.checked) {
+          obstacleShape = shapes[id];
+          cancelShape();
+        }
+      };
+      bindInput(button, updateObstacleShape, "change");
+    }
+    
+    const squareBrushButton = document.getElementById("square-brush-button");
+    const updateShape = () => {
+      squareBrush = squareBrushButton.checked;
+      obstacles.squareBrush = squareBrush;
+    };
+    bindInput(squareBrushButton, updateShape, "change");
+    document.getElementById("circle-brush-button").addEventListener("change", updateShape, false);
+    
+    const materialButtons = document.getElementsByName("material");
+    for (let i = 0; i < materialButtons.length; ++i) {
+      const button = materialButtons[i];
+      const updateMaterial = () => {
+        if (button.checked) {
+          obstacles.material = +button.value;
+        }
+      };
+      bindInput(button, updateMaterial, "change");
+    }
+    
+    const forceButtons = document.getElementsByName("force-type");
+    for (let i = 0; i < forceButtons.length; ++i) {
+      const button = forceButtons[i];
+      const updateForceType = () => {
+        if (button.checked) {
+          forceField.type = +button.value;
+        }
+      };
+      bindInput(button, updateForceType, "change");
+    }
+    
+    const renderingButtons = document.getElementsByName("obstacles-rendering");
+    for (let i = 0; i < renderingButtons.length; ++i) {
+      const button = renderingButtons[i];
+      const updateRendering = () => {
+        if (button.checked) {
+          obstacles.drawMode = +button.value;
+        }
+      };
+      bindInput(button, updateRendering, "change");
+    }
+    
+    const textureCheckbox = document.getElementById("rock-texture-checkbox");
+    const updateTextured = () => { obstacles.textured = textureCheckbox.checked; };
+    bindInput(textureCheckbox, updateTextured, "change");
+    
+    /* Any tiling image can replace the generated rock texture */
+    const textureInput = document.getElementById("rock-texture-input");
+    textureInput.addEventListener("change", () => {
+      if (textureInput.files.length > 0) {
+        const file = textureInput.files[0];
+        if (!/^image\/(png|jpeg)$/.test(file.type)) {
+          alert("Could not load the texture: only PNG and JPEG images are supported.");
+        } else {
+          createImageBitmap(file).then((bitmap) => {
+            obstacles.setRockTexture(gl, bitmap);
+            bitmap.close();
+            textureCheckbox.checked = true;
+            updateTextured();
+          }).catch((error) => { alert("Could not load the texture: " + error.message); });
+        }
+      }
+      textureInput.value = "";
+    }, false);
+    document.getElementById("load-texture-button").addEventListener("click", () => {
+      textureInput.click();
+    }, false);
+    
+    const displayForcesCheckbox = document.getElementById("display-forces-checkbox");
+    const updateForces = () => { forceField.displayArrows = displayForcesCheckbox.checked; };
+    bindInput(displayForcesCheckbox, updateForces, "change");
+  }
+
+  function bindThemeSection() {
+    const toHex = (color) => "#" + color.slice(0, 3).map((c) => {
+      return Math.round(255 * c).toString(16).padStart(2, "0");
+    }).join("");
+    const fromHex = (hex) => [1, 3, 5].map((i) => parseInt(hex.substr(i, 2), 16) / 255);
+    
+    let theme = null;
+    const lightSlider = document.getElementById("light-angle-slider");
+    const diffuseSlider = document.getElementById("diffuse-slider");
+    const specularSlider = document.getElementById("specular-strength-slider");
+    const shininessSlider = document.getElementById("shininess-slider");
+    const slowColorInput = document.getElementById("water-slow-color-input");
+    const fastColorInput = document.getElementById("water-fast-color-input");
+    const backgroundInput = document.getElementById("background-color-input");
+    
+    /* Selecting a preset displays its values, which can then be tweaked */
+    const presetButtons = document.getElementsByName("theme");
+    for (let i = 0; i < presetButtons.length; ++i) {
+      const button = presetButtons[i];
+      const updatePreset = () => {
+        if (button.checked) {
+          theme = Theme.fromName(button.value);
+          const [x, y] = theme.lightDirection;
+          lightSlider.value = (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+          diffuseSlider.value = theme.diffuseStrength;
+          specularSlider.value = theme.specularStrength;
+          shininessSlider.value = theme.shininess;
+          slowColorInput.value = toHex(theme.waterSlowColor);
+          fastColorInput.value = toHex(theme.waterFastColor);
+          backgroundInput.value = toHex(theme.background);
+          visible.setTheme(theme);
+        }
+      };
+      bindInput(button, updatePreset, "change");
+    }
+    
+    const tweak = (element, update) => {
+      element.addEventListener("input", () => {
+        update();
+        visible.setTheme(theme);
+      }, false);
+    };
+    
+    /* The light turns around the view axis */
+    tweak(lightSlider, () => {
+      const [x, y, z] = theme.lightDirection;
+      const radius = Math.hypot(x, y);
+      const angle = lightSlider.value * Math.PI / 180;
+      theme.lightDirection = [radius * Math.cos(angle), radius * Math.sin(angle), z];
+    });
+    tweak(diffuseSlider, () => { theme.diffuseStrength = +diffuseSlider.value; });
+    tweak(specularSlider, () => { theme.specularStrength = +specularSlider.value; });
+    tweak(shininessSlider, () => { theme.shininess = +shininessSlider.value; });
+    tweak(slowColorInput, () => { theme.waterSlowColor = fromHex(slowColorInput.value); });
+    tweak(fastColorInput, () => { theme.waterFastColor = fromHex(fastColorInput.value); });
+    tweak(backgroundInput, () => { theme.background = fromHex(backgroundInput.value).concat([1]); });
+  }
+
+  function bindGeneratorSection(gl, obstacles) {
+    let generator = new SceneGenerator();
+    
+    const seedSlider = document.getElementById("generator-seed-slider");
+    const updateSeed = () => { generator.seed = +seedSlider.value; };
+    bindInput(seedSlider, updateSeed, "input");
+    
+    const roughnessSlider = document.getElementById("roughness-slider");
+    const updateRoughness = () => { generator.roughness = +roughnessSlider.value; };
+    bindInput(roughnessSlider, updateRoughness, "input");
+    
+    const ledgesSlider = document.getElementById("ledges-slider");
+    const updateLedges = () => { generator.nbLedges = +ledgesSlider.value; };
+    bindInput(ledgesSlider, updateLedges, "input");
+    
+    const gapWidthSlider = document.getElementById("gap-width-slider");
+    const updateGapWidth = () => { generator.gapWidth = +gapWidthSlider.value; };
+    bindInput(gapWidthSlider, updateGapWidth, "input");
+    
+    /* The generated scene replaces the obstacles and sinks, as one edit */
+    const generate = () => {
+      obstacles.beginEdit(gl);
+      obstacles.reset(gl);
+      generator.generate(gl, obstacles);
+      refreshHistory();
+    };
+    document.getElementById("generate-button").addEventListener("click", generate, false);
+    document.getElementById("random-scene-button").addEventListener("click", () => {
+      seedSlider.value = Math.floor(Math.random() * (+seedSlider.max + 1));
+      seedSlider.dispatchEvent(new Event("input"));
+      generate();
+    }, false);
+  }
+
+  function bindProbesSection(gl, probes) {
+    const lineButton = document.getElementById("line-probe-button");
+    const updateShape = () => { probeType = lineButton.checked ? Probe.LINE : Probe.BOX; };
+    bindInput(lineButton, updateShape, "change");
+    document.getElementById("box-probe-button").addEventListener("change", updateShape, false);
+    
+    const clearButton = document.getElementById("clear-probes-button");
+    clearButton.addEventListener("click", () => { probes.clear(); }, false);
+    
+    /* One gauge per probe: its latest rate and a graph of its history */
+    const list = document.getElementById("probes-list");
+    let gauges = [];
+    const rebuildGauges = function() {
+      list.innerHTML = "";
+      gauges = probes.list.map((probe, i) => {
+        const color = Probes.COLORS[i].map((c) => Math.round(255 * c));
+        const gauge = document.createElement("div");
+        gauge.className = "probe-gauge";
+        gauge.style.color = "rgb(" + color.join(",") + ")";
+        
+        const text = document.createElement("span");
+        const graph = document.createElement("canvas");
+        graph.width = 96;
+        graph.height = 24;
+        const removeButton = document.createElement("button");
+        removeButton.className = "compact";
+        removeButton.textContent = "x";
+        removeButton.addEventListener("click", () => { probes.remove(probe); }, false);
+        
+        gauge.appendChild(text);
+        gauge.appendChild(graph);
+        gauge.appendChild(removeButton);
+        list.appendChild(gauge);
+        return { probe: probe, text: text, graph: graph };
+      });
+    };
     
-    const displayNormalsCheckbox = document.getElementById("display-normals-checkbox");
-    const updateNormals = () => { obstacles.displayNormals = displayNormalsCheckbox.checked; };
-    bindInput(displayNormalsCheckbox, updateNormals, "change");
+    const updateGauges = function() {
+      const changed = gauges.length !== probes.list.length ||
+        gauges.some((gauge, i) => gauge.probe !== probes.list[i]);
+      if (changed) {
+        rebuildGauges();
+      }
+      
+      for (let gauge of gauges) {
+        gauge.text.textContent = gauge.probe.rate.toFixed(0) + " /s";
+        
+        const history = gauge.probe.history;
+        const context = gauge.graph.getContext("2d");
+        const width = gauge.graph.width;
+        const height = gauge.graph.height;
+        const max = Math.max(1, Math.max.apply(null, history));
+        context.clearRect(0, 0, width, height);
+        context.strokeStyle = gauge.graph.parentNode.style.color;
+        context.beginPath();
+        history.forEach((rate, i) => {
+          const x = width * i / (Probes.HISTORY_LENGTH - 1);
+          const y = height - 1 - (height - 2) * rate / max;
+          if (i === 0) {
+            context.moveTo(x, y);
+          } else {
+            context.lineTo(x, y);
+          }
+        });
+        context.stroke();
+      }
+    };
+    setInterval(updateGauges, 250);
   }
 
-  function bindMouse(gl, canvas, obstacles) {
+  function bindPointers(gl, canvas, particles, obstacles, forceField, probes) {
     function documentToCanvas(vec) {
       const rect = canvas.getBoundingClientRect();
       return {
@@ -92,28 +623,248 @@ var Controls = (function(){
       };
     }
     
-    function mouseMove(event) {
-      let pos = { x: event.clientX, y: event.clientY };
-      pos = documentToCanvas(pos);
+    /* In [0,1]x[0,1] */
+    function pointerPosition(event) {
+      let pos = documentToCanvas({ x: event.clientX, y: event.clientY });
       pos.x /= canvas.clientWidth;
       pos.y /= canvas.clientHeight;
+      return pos;
+    }
+    
+    /* Stamps the brush all along the segment, so that fast strokes have no gaps */
+    function stampAlong(from, to, size, stamp) {
+      const dx = (to.x - from.x) * canvas.clientWidth;
+      const dy = (to.y - from.y) * canvas.clientHeight;
+      const nbSteps = Math.ceil(Math.sqrt(dx * dx + dy * dy) / Math.max(1, 0.25 * size));
+      for (let i = 1; i <= nbSteps; ++i) {
+        const t = i / nbSteps;
+        stamp(from.x + t * (to.x - from.x), from.y + t * (to.y - from.y));
+      }
+      if (nbSteps === 0) {
+        stamp(to.x, to.y);
+      }
+    }
+    
+    /* Outline of the shape being drawn, including the pointer's position */
+    function updateShapePreview(pos) {
+      if (shapeStart !== null && obstacleShape === "rectangle") {
+        obstacles.shapePreview = {
+          vertices: [shapeStart, [pos.x, shapeStart[1]], [pos.x, pos.y], [shapeStart[0], pos.y]],
+          closed: true
+        };
+      } else if (shapeStart !== null) {
+        obstacles.shapePreview = { vertices: [shapeStart, [pos.x, pos.y]], closed: false };
+      } else if (polygon.length > 0) {
+        obstacles.shapePreview = { vertices: polygon.concat([[pos.x, pos.y]]), closed: true };
+      }
+    }
+    
+    function beginEdit() {
+      obstacles.beginEdit(gl);
+      refreshHistory();
+    }
+    
+    function closePolygon() {
+      beginEdit();
+      obstacles.addStaticPolygon(gl, polygon);
+      cancelShape();
+    }
+    
+    /* Paints with the brush from a position to another. With pressure
+     * sensitivity, the brush scales with the pressure, which is 0.5
+     * for a mouse button. */
+    function paint(pointer, from, to, pressure) {
+      const size = pressureBrush ? Math.max(0.1, 2 * pressure) * brushSize : brushSize;
+      obstacles.brushSize = [size / canvas.clientWidth, size / canvas.clientHeight];
+      
+      if (brushTool === "sink") {
+        if (pointer.isErasing) {
+          stampAlong(from, to, size, (x, y) => { obstacles.eraseSink(gl, x, y); });
+        } else {
+          stampAlong(from, to, size, (x, y) => { obstacles.addSink(gl, x, y); });
+        }
+      } else if (pointer.isErasing) {
+        /* Only obstacles and sinks can be erased */
+        if (brushTool === "obstacle") {
+          stampAlong(from, to, size, (x, y) => { obstacles.eraseStaticObstacle(gl, x, y); });
+        }
+      } else if (brushTool === "force") {
+        forceField.paint(gl, to.x, to.y, to.x - from.x, to.y - from.y);
+      } else if (brushTool === "probe" || obstacleShape !== "freehand") {
+        /* Probes and shapes are placed on pointer down */
+      } else if (squareBrush) {
+        stampAlong(from, to, size, (x, y) => { obstacles.addStaticObstacle(gl, x, y); });
+      } else {
+        /* A continuous stroke, without gaps between the stamps */
+        obstacles.addStaticSegment(gl, [from.x, from.y], [to.x, to.y]);
+      }
+      
+      obstacles.brushSize = [brushSize / canvas.clientWidth, brushSize / canvas.clientHeight];
+    }
+    
+    /* Each pointer (mouse, finger or pen) has its own state and mobile obstacle.
+     * Only the mouse is followed while no button is pressed. */
+    let pointers = new Map();
+    let probeStart = null;
+    let shapeStart = null;
+    let polygon = [];
+    
+    function getPointer(event) {
+      let pointer = pointers.get(event.pointerId);
+      if (typeof pointer === typeof undefined) {
+        pointer = {
+          lastPos: pointerPosition(event),
+          lastTime: event.timeStamp,
+          isDown: false,
+          isErasing: false,
+          draggedEmitter: null
+        };
+        pointers.set(event.pointerId, pointer);
+      }
+      return pointer;
+    }
+    
+    /* Only the primary pointer moves the hand, and places probes and shapes */
+    function pointerMove(event) {
+      if (!pointers.has(event.pointerId) && event.pointerType !== "mouse") {
+        return;
+      }
+      
+      const pointer = getPointer(event);
+      const pos = pointerPosition(event);
+      const dt = 0.001 * (event.timeStamp - pointer.lastTime);
+      pointer.lastTime = event.timeStamp;
         
-      obstacles.setMobileObstacle(gl, pos.x, pos.y);
-      if (isMouseDown) {
-        obstacles.addStaticObstacle(gl, pos.x, pos.y);
+      if (handMode !== Particles.HAND_NONE) {
+        /* The hand is not solid */
+        obstacles.removeMobileObstacle(gl, event.pointerId);
+        if (event.isPrimary && pointer.isDown && pointer.draggedEmitter === null) {
+          const velX = (dt > 0) ? (pos.x - pointer.lastPos.x) / dt : 0;
+          const velY = (dt > 0) ? (pos.y - pointer.lastPos.y) / dt : 0;
+          particles.setHand(handMode, pos.x, pos.y, velX, velY);
+        }
+      } else {
+        obstacles.setMobileObstacle(gl, pos.x, pos.y, event.pointerId);
+      }
+
+      if (pointer.draggedEmitter !== null) {
+        pointer.draggedEmitter.position = [pos.x, pos.y];
+      } else if (event.isPrimary && probeStart !== null) {
+        probes.preview = new Probe(probeType, probeStart, [pos.x, pos.y]);
+      } else if (event.isPrimary && (shapeStart !== null || polygon.length > 0)) {
+        updateShapePreview(pos);
+      } else if (pointer.isDown && handMode === Particles.HAND_NONE) {
+        paint(pointer, pointer.lastPos, pos, event.pressure);
       }
+      pointer.lastPos = pos;
     }
     
-    let isMouseDown = false;
-    document.addEventListener("mousemove", mouseMove, false);
+    document.addEventListener("pointermove", pointerMove, false);
+    
+    cancelShape = function() {
+      shapeStart = null;
+      polygon = [];
+      obstacles.shapePreview = null;
+    };
+    
+    /* The right button erases */
+    canvas.addEventListener("contextmenu", (e) => { e.preventDefault(); }, false);
     
-    canvas.addEventListener("mousedown", function (e) {
-      isMouseDown = true;
-      mouseMove(event);
+    canvas.addEventListener("pointerdown", function (e) {
+      /* The pointer keeps painting when leaving the canvas */
+      canvas.setPointerCapture(e.pointerId);
+      
+      const pointer = getPointer(e);
+      pointer.isDown = true;
+      pointer.isErasing = eraseMode || e.button === 2;
+      
+      const pos = pointerPosition(e);
+      pointer.lastPos = pos;
+      
+      if (particles.displayEmitters) {
+        pointer.draggedEmitter = particles.pickEmitter(pos.x, pos.y, 10);
+        if (pointer.draggedEmitter !== null) {
+          selectEmitter(pointer.draggedEmitter);
+        }
+      }
+      
+      const placing = e.isPrimary && pointer.draggedEmitter === null &&
+                      !pointer.isErasing && handMode === Particles.HAND_NONE;
+      if (placing && brushTool === "probe" && probes.supported) {
+        probeStart = [pos.x, pos.y];
+      } else if (placing && brushTool === "obstacle" && obstacleShape === "polygon") {
+        /* Clicking near the first vertex closes the polygon */
+        if (polygon.length >= 3) {
+          const dx = (pos.x - polygon[0][0]) * canvas.clientWidth;
+          const dy = (pos.y - polygon[0][1]) * canvas.clientHeight;
+          if (dx * dx + dy * dy < 10 * 10) {
+            closePolygon();
+            return;
+          }
+        }
+        polygon.push([pos.x, pos.y]);
+        if (polygon.length === ObstacleMap.MAX_POLYGON_VERTICES) {
+          closePolygon();
+        }
+      } else if (placing && brushTool === "obstacle" && obstacleShape !== "freehand") {
+        shapeStart = [pos.x, pos.y];
+      } else if (pointer.draggedEmitter === null && handMode === Particles.HAND_NONE && polygon.length === 0 &&
+                 (brushTool === "sink" || (brushTool === "obstacle" && (pointer.isErasing || obstacleShape === "freehand")))) {
+        /* The whole stroke, until pointer up, is undone at once */
+        beginEdit();
+      }
+      
+      pointerMove(e);
     }, false);
     
-    document.body.addEventListener("mouseup", function () {
-      isMouseDown = false;
+    function pointerUp(e) {
+      const pointer = pointers.get(e.pointerId);
+      if (typeof pointer === typeof undefined) {
+        return;
+      }
+      
+      pointer.isDown = false;
+      pointer.draggedEmitter = null;
+      
+      if (e.isPrimary) {
+        particles.setHand(Particles.HAND_NONE, 0, 0);
+        
+        if (probes.preview !== null) {
+          const [x1, y1] = probes.preview.start;
+          const [x2, y2] = probes.preview.end;
+          if (x1 !== x2 || y1 !== y2) {
+            probes.add(probes.preview);
+          }
+          probes.preview = null;
+        }
+        probeStart = null;
+        
+        if (shapeStart !== null) {
+          const end = [pointer.lastPos.x, pointer.lastPos.y];
+          beginEdit();
+          if (obstacleShape === "line") {
+            obstacles.addStaticSegment(gl, shapeStart, end);
+          } else {
+            obstacles.addStaticRectangle(gl, shapeStart, end);
+          }
+          cancelShape();
+        }
+      }
+      
+      /* Lifted fingers and pens are no longer obstacles */
+      if (e.pointerType !== "mouse") {
+        obstacles.removeMobileObstacle(gl, e.pointerId);
+        pointers.delete(e.pointerId);
+      }
+    }
+    
+    document.addEventListener("pointerup", pointerUp, false);
+    document.addEventListener("pointercancel", pointerUp, false);
+    
+    canvas.addEventListener("dblclick", function () {
+      if (polygon.length >= 3) {
+        closePolygon();
+      }
     }, false);
   }
 
@@ -121,6 +872,12 @@ var Controls = (function(){
   let visible = {
     setFluidMode: function(bool) {},
 
+    setSubsteps: function(n) {},
+
+    setTheme: function(theme) {},
+
+    runBenchmark: function() {},
+
     showFluidSection(fluid) {
       const fluidSection = document.getElementById("fluid-controllers");
       
@@ -130,11 +887,15 @@ var Controls = (function(){
       }
     },
     
-    bind: function(gl, canvas, particles, obstacles, fluidify) {
+    bind: function(gl, canvas, particles, obstacles, fluidify, forceField, probes) {
       bindRenderingSection(gl, particles, fluidify);
+      bindThemeSection();
       bindParticlesSection(gl, particles);
-      bindObstaclesSection(gl, canvas, obstacles);
-      bindMouse(gl, canvas, obstacles);
+      bindEmittersSection(gl, particles);
+      bindObstaclesSection(gl, canvas, particles, obstacles, forceField);
+      bindGeneratorSection(gl, obstacles);
+      bindProbesSection(gl, probes);
+      bindPointers(gl, canvas, particles, obstacles, forceField, probes);
       
       const particlesButton = document.getElementById("point-mode-button");
       
@@ -161,11 +922,44 @@ var Controls = (function(){
       checkbox.disabled = "disabled";
       label.style.color = "grey";
       label.innerHTML = "not supported";
+    },
+
+    /**
+     * For hardware that can't render into float textures, disables
+     * the pressure check box.
+     */
+    disablePressure: function() {
+      const checkbox = document.getElementById("pressure-checkbox");
+      const label = document.getElementById("pressure-label");
+      
+      checkbox.checked = false;
+      checkbox.disabled = "disabled";
+      label.style.color = "grey";
+      label.innerHTML = "not supported";
+    },
+
+    /**
+     * For hardware that can't render into float textures, disables
+     * the probe tool.
+     */
+    disableProbes: function() {
+      const buttons = [document.getElementById("probe-tool-button"),
+        document.getElementById("line-probe-button"),
+        document.getElementById("box-probe-button")];
+      const list = document.getElementById("probes-list");
+      
+      for (let button of buttons) {
+        button.disabled = "disabled";
+      }
+      list.style.color = "grey";
+      list.innerHTML = "not supported";
     }
   };
   
   Object.defineProperty(visible, "bind", {writable: false});
   Object.defineProperty(visible, "disableSpecular", {writable: false});
+  Object.defineProperty(visible, "disablePressure", {writable: false});
+  Object.defineProperty(visible, "disableProbes", {writable: false});
   Object.preventExtensions(visible);
   Object.seal(visible);
   
@@ -0,0 +1,165 @@
+"use strict";
+
+/**
+ * Module for accessing, configuring and building shaders related
+ * to the DensityGrid class.
+ */
+const DensityGridShaders = (function() {
+  /* Private static attributes */
+  const splatVertRawStr =
+`#version 300 es
+___LOAD_PARTICLE___
+
+out vec2 velocity;
+
+void main(void)
+{
+    vec2 pos, vel;
+    float age, species;
+    loadParticle(pos, vel, age, species);
+    velocity = vel;
+
+    gl_Position = vec4(2.0 * pos / WORLD_SIZE, 0.0, 1.0);
+    gl_PointSize = 1.0;
+}`;
+
+  const splatFragStr =
+`#version 300 es
+precision highp float;
+
+in vec2 velocity;
+
+out vec4 fragColor;
+
+void main(void) {
+  fragColor = vec4(1.0, velocity, 0.0);
+}`;
+
+  /* Public static methods */
+  let visible = {
+    /**
+     * @param {WebGLRenderingContext} gl
+     * @param {string} loadParticleStr GLSL declaring WORLD_SIZE and
+     *                 void loadParticle(out vec2 pos, out vec2 vel, out float age, out float species)
+     */
+    getSplatShader: function(gl, loadParticleStr) {
+      const splatVertStr = splatVertRawStr.replace(/___LOAD_PARTICLE___/g, loadParticleStr);
+
+      return Shader.fromString(gl, splatVertStr, splatFragStr);
+    }
+  };
+
+  return Object.freeze(visible);
+})();
+
+
+/**
+ * Class for binning the particles into a uniform grid.
+ * Each cell stores in its red channel the number of particles it contains,
+ * and in its green and blue channels the sum of their velocities.
+ * It requires the EXT_color_buffer_float extension, since counts and
+ * velocities are accumulated by additive blending into a half-float texture.
+ */
+class DensityGrid {
+  /**
+   * @param {WebGLRenderingContext} gl
+   * @param {object} worldSize {width, height} in pixels
+   * @param {string} loadParticleStr GLSL code for reading the particles,
+   *                 see ParticlesShaders.getLoadParticleStr
+   */
+  constructor(gl, worldSize, loadParticleStr) {
+    this._texture = null;
+    this._FBO = null;
+    this.resize(gl, worldSize);
+
+    this._splatShader = DensityGridShaders.getSplatShader(gl, loadParticleStr);
+  }
+
+  /**
+   * The content of the grid is lost, since it is recomputed each frame.
+   * @param {WebGLRenderingContext} gl
+   * @param {object} worldSize {width, height} in pixels
+   */
+  resize(gl, worldSize) {
+    if (this._texture !== null) {
+      gl.deleteTexture(this._texture);
+      gl.deleteFramebuffer(this._FBO);
+    }
+
+    this._width = Math.ceil(worldSize.width / DensityGrid.CELL_SIZE);
+    this._height = Math.ceil(worldSize.height / DensityGrid.CELL_SIZE);
+
+    this._texture = DensityGrid.initTexture(gl, this._width, this._height);
+    this._FBO = FBO.create(gl, this._width, this._height);
+  }
+
+  /**
+   * To be called when the particles storage changes.
+   * @param {WebGLRenderingContext} gl
+   * @param {string} loadParticleStr
+   */
+  setParticleStorage(gl, loadParticleStr) {
+    gl.deleteProgram(this._splatShader);
+    this._splatShader = DensityGridShaders.getSplatShader(gl, loadParticleStr);
+  }
+
+  /**
+   * @returns {boolean} whether the hardware can render into the grid.
+   */
+  static isSupported(gl) {
+    return gl.getExtension("EXT_color_buffer_float") !== null;
+  }
+
+  /**
+   * Size of a cell, in pixels.
+   */
+  static get CELL_SIZE() {
+    return 4;
+  }
+
+  get texture() {
+    return this._texture;
+  }
+
+  get nbCells() {
+    return this._width * this._height;
+  }
+
+  /**
+   * Bins the particles stored in the VAO into the grid.
+   * @param {WebGLRenderingContext} gl
+   * @param {WebGLVertexArrayObject} posVelVAO particles attributes, as
+   *                                 expected by loadParticleStr
+   * @param {number} nbParticles
+   */
+  compute(gl, posVelVAO, nbParticles) {
+    this._FBO.bind(gl, this._texture, null);
+    gl.clearColor(0.0, 0.0, 0.0, 0.0); //may have been changed for display
+    gl.clear(gl.COLOR_BUFFER_BIT);
+
+    gl.useProgram(this._splatShader);
+    this._splatShader.bindUniforms(gl);
+    gl.bindVertexArray(posVelVAO);
+
+    gl.enable(gl.BLEND);
+    gl.blendFunc(gl.ONE, gl.ONE);
+    gl.drawArrays(gl.POINTS, 0, nbParticles);
+    gl.disable(gl.BLEND);
+
+    gl.bindVertexArray(null);
+    gl.useProgram(null);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+  }
+
+  static initTexture(gl, width, height) {
+    let texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA16F, width, height, 0, gl.RGBA, gl.HALF_FLOAT, null);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    return texture;
+  }
+}
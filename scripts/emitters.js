@@ -0,0 +1,508 @@
+"use strict";
+
+/**
+ * Module for accessing, configuring and building shaders related
+ * to the Emitters class.
+ */
+const EmittersShaders = (function() {
+  /* Private static attributes */
+  const drawVertStr =
+      `#version 300 es
+      layout(location=0) in vec2 aPos; //in [0,1]x[0,1]
+
+      void main(void) {
+          gl_Position = vec4(2.0*aPos - 1.0, 0.0, 1.0);
+      }`;
+
+  const drawFragStr =
+      `#version 300 es
+      precision mediump float;
+
+      uniform vec4 uColor;
+
+      out vec4 fragColor;
+
+      void main(void) {
+          fragColor = uColor;
+      }`;
+
+  /* Each particle respawned by an emitter during the last update
+   * adds 1 to the texel of this emitter. */
+  const countVertRawStr =
+      `#version 300 es
+      #define MAX_EMITTERS ___MAX_EMITTERS___
+
+      uniform int uEmittersCount;
+      uniform ivec2 uEmitterWindow[MAX_EMITTERS]; //first particle index, nb of particles
+      uniform int uNbParticles;
+
+      ___LOAD_POSITIONS___
+
+      void main(void) {
+          gl_PointSize = 1.0;
+          gl_Position = vec4(2, 2, 0, 1); //clipped
+
+          vec2 pos, prevPos;
+          loadPositions(pos, prevPos);
+          if (!isDead(prevPos) || isDead(pos))
+              return;
+
+          // Same attribution as in the particles update
+          for (int i = 0; i < MAX_EMITTERS; ++i) {
+              if (i >= uEmittersCount)
+                  break;
+
+              int rank = gl_VertexID - uEmitterWindow[i].x;
+              if (rank < 0)
+                  rank += uNbParticles;
+              if (rank < uEmitterWindow[i].y) {
+                  float x = (float(i) + 0.5) / float(MAX_EMITTERS);
+                  gl_Position = vec4(2.0 * x - 1.0, 0, 0, 1);
+                  return;
+              }
+          }
+      }`;
+
+  const countFragStr =
+      `#version 300 es
+      precision mediump float;
+
+      out vec4 fragColor;
+
+      void main(void) {
+          fragColor = vec4(1, 0, 0, 0);
+      }`;
+
+  /* Public static methods */
+  let visible = {
+    getDrawShader: function(gl) {
+      return Shader.fromString(gl, drawVertStr, drawFragStr);
+    },
+
+    /**
+     * @param {WebGLRenderingContext} gl
+     * @param {string} loadPositionsStr see ParticlesShaders.getLoadPositionsStr
+     */
+    getCountShader: function(gl, loadPositionsStr) {
+      const vertStr = countVertRawStr.replace(/___LOAD_POSITIONS___/g, loadPositionsStr)
+        .replace(/___MAX_EMITTERS___/g, Emitters.MAX);
+      return Shader.fromString(gl, vertStr, countFragStr);
+    }
+  };
+
+  return Object.freeze(visible);
+})();
+
+
+/**
+ * Source of particles.
+ * Positions and sizes are normalized with the canvas size, in [0,1]x[0,1].
+ * A point emitter ignores its size, a line emitter spans from
+ * position - size/2 to position + size/2, and an area emitter covers the
+ * rectangle of size size centered on position.
+ */
+class Emitter {
+  /**
+   * @param {object} params optional type, position, size, direction (radians),
+   *                 spread (radians), speed (relative to the max speed, in [0,1])
+   *                 rate (particles per second, Infinity meaning that every
+   *                 dead particle is recycled at once) and species (index in
+   *                 Particles.SPECIES of the emitted fluid).
+   *                 The rate is met as long as there are enough dead particles:
+   *                 what could not be emitted is emitted later, up to one
+   *                 second worth of particles.
+   */
+  constructor(params = {}) {
+    this.type = (typeof params.type !== typeof undefined) ? params.type : Emitter.POINT;
+    this.position = params.position || [0.5, 0.5];
+    this.size = params.size || [0.2, 0];
+    this.direction = (typeof params.direction !== typeof undefined) ? params.direction : -Math.PI / 2;
+    this.spread = params.spread || 0;
+    this.speed = params.speed || 0;
+    this.rate = (typeof params.rate !== typeof undefined) ? params.rate : 1000;
+    this.species = params.species || 0;
+
+    this._budget = 0;
+  }
+
+  static get POINT() {
+    return 0;
+  }
+
+  static get LINE() {
+    return 1;
+  }
+
+  static get AREA() {
+    return 2;
+  }
+
+  /**
+   * Forgets the particles accumulated so far.
+   */
+  restart() {
+    this._budget = 0;
+  }
+
+  /**
+   * Accumulates the particles the emitter is allowed to emit during dt,
+   * and returns the whole number of them.
+   * @param {number} dt in seconds
+   * @param {number} max
+   * @returns {number}
+   */
+  takeBudget(dt, max) {
+    if (!isFinite(this.rate)) {
+      return max;
+    }
+
+    this._budget = Math.min(this._budget + this.rate * dt, max);
+    const nb = Math.floor(this._budget);
+    this._budget -= nb;
+    return nb;
+  }
+
+  /**
+   * Gives back particles taken from the budget but not emitted,
+   * for lack of dead particles.
+   * @param {number} nb
+   */
+  refund(nb) {
+    if (isFinite(this.rate)) {
+      this._budget = Math.min(this._budget + Math.max(0, nb), Math.max(1, this.rate));
+    }
+  }
+}
+
+
+/**
+ * Class for handling the emitters of a particles system, and displaying them.
+ * Dead particles are recycled by the emitters: each frame, every emitter is
+ * given a window of particle indices sized according to its rate, and the dead
+ * particles in this window are respawned by this emitter. The windows slide
+ * over all the particles frame after frame.
+ * The live particles of a window are not respawned, so the respawns are
+ * counted on GPU and read back asynchronously, and each emitter is refunded
+ * the part of its window that fell on live particles. This requires the
+ * EXT_color_buffer_float and EXT_float_blend extensions: without them, the
+ * emission rates are only met while most particles are dead.
+ */
+class Emitters {
+  /**
+   * @param {WebGLRenderingContext} gl
+   * @param {object} worldSize {width, height} in pixels
+   */
+  constructor(gl, worldSize) {
+    this._worldSize = worldSize;
+    this._list = [];
+    this._cursor = 0;
+    this.selected = null;
+
+    this._shapes = new Float32Array(4 * Emitters.MAX);
+    this._flows = new Float32Array(4 * Emitters.MAX);
+    this._windows = new Int32Array(2 * Emitters.MAX);
+    this._species = new Int32Array(Emitters.MAX);
+    this._counts = [];
+
+    this._countSupported = gl.getExtension("EXT_color_buffer_float") !== null &&
+                           gl.getExtension("EXT_float_blend") !== null;
+    this._countTexture = Emitters.initCountTexture(gl);
+    this._FBO = FBO.create(gl, Emitters.MAX, 1);
+    this._granted = new Array(Emitters.MAX).fill(0); //since the last clear
+    this._mustClear = true;
+    this._reading = false;
+    this._nbRestarts = 0; //refunds from before a restart are dropped
+
+    /* Built for the particles storage in use */
+    this._countShader = null;
+    this._loadPositionsStr = null;
+
+    this._drawShader = EmittersShaders.getDrawShader(gl);
+
+    this._linesVBO = gl.createBuffer();
+    this._linesVAO = gl.createVertexArray();
+    gl.bindVertexArray(this._linesVAO);
+    gl.enableVertexAttribArray(0);  //pos attribute loc
+    gl.bindBuffer(gl.ARRAY_BUFFER, this._linesVBO);
+    gl.vertexAttribPointer(0, 2, gl.FLOAT, false, 0, 0);
+    gl.bindVertexArray(null);
+    gl.bindBuffer(gl.ARRAY_BUFFER, null);
+  }
+
+  /**
+   * Maximum number of simultaneous emitters.
+   */
+  static get MAX() {
+    return 8;
+  }
+
+  get list() {
+    return this._list;
+  }
+
+  /**
+   * Brings the emitters back to their initial state.
+   */
+  restart() {
+    this._cursor = 0;
+    this._mustClear = true;
+    ++this._nbRestarts;
+    for (let emitter of this._list) {
+      emitter.restart();
+    }
+  }
+
+  /**
+   * @param {Emitter} emitter
+   * @returns {boolean} false if there already are too many emitters
+   */
+  add(emitter) {
+    if (this._list.length >= Emitters.MAX) {
+      return false;
+    }
+
+    this._list.push(emitter);
+    this._mustClear = true;
+    return true;
+  }
+
+  remove(emitter) {
+    this._list = this._list.filter((e) => e !== emitter);
+    this._mustClear = true;
+    if (this.selected === emitter) {
+      this.selected = null;
+    }
+  }
+
+  /**
+   * @param {number} x in [0,1]
+   * @param {number} y in [0,1]
+   * @param {number} tolerance in pixels
+   * @returns {Emitter} the closest emitter whose center is near enough, or null
+   */
+  pick(x, y, tolerance) {
+    let closest = null;
+    let closestDist = tolerance;
+    for (let emitter of this._list) {
+      const dx = (emitter.position[0] - x) * this._worldSize.width;
+      const dy = (emitter.position[1] - y) * this._worldSize.height;
+      const dist = Math.sqrt(dx * dx + dy * dy);
+      if (dist <= closestDist) {
+        closest = emitter;
+        closestDist = dist;
+      }
+    }
+    return closest;
+  }
+
+  /**
+   * Distributes the particles among the emitters for this frame and
+   * provides the emitters' uniforms to the update shader.
+   * @param {object} shader particles update shader
+   * @param {number} nbParticles
+   * @param {number} maxSpeed in pixels per second
+   * @param {number} dt in seconds
+   */
+  setUniforms(shader, nbParticles, maxSpeed, dt) {
+    let counts = this._list.map((emitter) => emitter.takeBudget(dt, nbParticles));
+    let total = counts.reduce((a, b) => a + b, 0);
+    if (total > nbParticles) {
+      counts = counts.map((count) => Math.floor(count * nbParticles / total));
+    }
+
+    const width = this._worldSize.width;
+    const height = this._worldSize.height;
+    let first = this._cursor % nbParticles;
+    this._list.forEach((emitter, i) => {
+      this._shapes.set([(emitter.position[0] - 0.5) * width,
+                        (emitter.position[1] - 0.5) * height,
+                        0.5 * emitter.size[0] * width,
+                        0.5 * emitter.size[1] * height], 4 * i);
+      this._flows.set([emitter.direction, emitter.spread,
+                       emitter.speed * maxSpeed, emitter.type], 4 * i);
+      this._windows.set([first, counts[i]], 2 * i);
+      this._species[i] = emitter.species;
+
+      first = (first + counts[i]) % nbParticles;
+    });
+    this._cursor = first;
+    this._counts = counts;
+
+    shader.u["uEmittersCount"].value = this._list.length;
+    shader.u["uEmitterShape[0]"].value = this._shapes;
+    shader.u["uEmitterFlow[0]"].value = this._flows;
+    shader.u["uEmitterWindow[0]"].value = this._windows;
+    shader.u["uEmitterSpecies[0]"].value = this._species;
+  }
+
+  /**
+   * Counts the particles respawned by each emitter during the last update,
+   * whose windows are the ones of the last call to setUniforms.
+   * @param {WebGLRenderingContext} gl
+   * @param {WebGLVertexArrayObject} positionsVAO see Particles.positionsVAO
+   * @param {string} loadPositionsStr see Particles.loadPositionsStr
+   * @param {number} nbParticles
+   */
+  count(gl, positionsVAO, loadPositionsStr, nbParticles) {
+    const limited = this._list.some((emitter) => isFinite(emitter.rate));
+    if (!this._countSupported || !limited || positionsVAO === null) {
+      return;
+    }
+
+    if (loadPositionsStr !== this._loadPositionsStr) {
+      this._loadPositionsStr = loadPositionsStr;
+      if (this._countShader !== null) {
+        gl.deleteProgram(this._countShader);
+      }
+      this._countShader = EmittersShaders.getCountShader(gl, loadPositionsStr);
+    }
+
+    this._FBO.bind(gl, this._countTexture, null);
+    gl.clearColor(0.0, 0.0, 0.0, 0.0);
+    if (this._mustClear) {
+      gl.clear(gl.COLOR_BUFFER_BIT);
+      this._granted.fill(0);
+      this._mustClear = false;
+    }
+
+    this._countShader.u["uEmittersCount"].value = this._list.length;
+    this._countShader.u["uEmitterWindow[0]"].value = this._windows;
+    this._countShader.u["uNbParticles"].value = nbParticles;
+
+    gl.useProgram(this._countShader);
+    this._countShader.bindUniforms(gl);
+    gl.bindVertexArray(positionsVAO);
+
+    gl.enable(gl.BLEND);
+    gl.blendFunc(gl.ONE, gl.ONE);
+    gl.drawArrays(gl.POINTS, 0, nbParticles);
+    gl.disable(gl.BLEND);
+
+    gl.bindVertexArray(null);
+    gl.useProgram(null);
+
+    this._counts.forEach((count, i) => { this._granted[i] += count; });
+    if (!this._reading) {
+      this._readCounts(gl);
+    }
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+  }
+
+  /**
+   * Asynchronously refunds the emitters for what they could not emit,
+   * and starts counting again. The FBO must be bound.
+   */
+  _readCounts(gl) {
+    const emitters = this._list.slice();
+    const granted = this._granted.slice();
+    const nbRestarts = this._nbRestarts;
+    let counts = new Float32Array(4 * Emitters.MAX);
+
+    this._reading = true;
+    Utils.readPixelsAsync(gl, 0, 0, Emitters.MAX, 1,
+      gl.RGBA, gl.FLOAT, counts).then(() => {
+      if (nbRestarts !== this._nbRestarts) {
+        return;
+      }
+      emitters.forEach((emitter, i) => {
+        emitter.refund(granted[i] - counts[4 * i]);
+      });
+    }).catch((error) => {
+      console.log("Could not read the emissions back: " + error.message);
+    }).finally(() => {
+      this._reading = false;
+    });
+
+    gl.clear(gl.COLOR_BUFFER_BIT);
+    this._granted.fill(0);
+  }
+
+  /**
+   * Displays the shape and direction of each emitter.
+   * @param {WebGLRenderingContext} gl
+   */
+  draw(gl) {
+    let lines = [];
+    let selectedLines = [];
+    for (let emitter of this._list) {
+      const target = (emitter === this.selected) ? selectedLines : lines;
+      this._pushMarker(emitter, target);
+    }
+    const nbVertices = lines.length / 2;
+    lines.push.apply(lines, selectedLines);
+    if (lines.length === 0) {
+      return;
+    }
+
+    gl.bindBuffer(gl.ARRAY_BUFFER, this._linesVBO);
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(lines), gl.STREAM_DRAW);
+    gl.bindBuffer(gl.ARRAY_BUFFER, null);
+
+    gl.useProgram(this._drawShader);
+    gl.bindVertexArray(this._linesVAO);
+
+    this._drawShader.u["uColor"].value = [1, 0.6, 0, 1];
+    this._drawShader.bindUniforms(gl);
+    gl.drawArrays(gl.LINES, 0, nbVertices);
+
+    this._drawShader.u["uColor"].value = [1, 1, 0, 1];
+    this._drawShader.bindUniforms(gl);
+    gl.drawArrays(gl.LINES, nbVertices, selectedLines.length / 2);
+
+    gl.bindVertexArray(null);
+    gl.useProgram(null);
+  }
+
+  /**
+   * Appends to lines the segments representing the emitter.
+   */
+  _pushMarker(emitter, lines) {
+    const pixel = [1 / this._worldSize.width, 1 / this._worldSize.height];
+    const [x, y] = emitter.position;
+    const [w, h] = emitter.size;
+
+    const segment = (x1, y1, x2, y2) => { lines.push(x1, y1, x2, y2); };
+
+    if (emitter.type === Emitter.LINE) {
+      segment(x - 0.5 * w, y - 0.5 * h, x + 0.5 * w, y + 0.5 * h);
+    } else if (emitter.type === Emitter.AREA) {
+      segment(x - 0.5 * w, y - 0.5 * h, x + 0.5 * w, y - 0.5 * h);
+      segment(x + 0.5 * w, y - 0.5 * h, x + 0.5 * w, y + 0.5 * h);
+      segment(x + 0.5 * w, y + 0.5 * h, x - 0.5 * w, y + 0.5 * h);
+      segment(x - 0.5 * w, y + 0.5 * h, x - 0.5 * w, y - 0.5 * h);
+    }
+
+    /* Handle used for dragging */
+    const radius = 6;
+    const nbSides = 12;
+    for (let i = 0; i < nbSides; ++i) {
+      const a1 = 2 * Math.PI * i / nbSides;
+      const a2 = 2 * Math.PI * (i + 1) / nbSides;
+      segment(x + radius * pixel[0] * Math.cos(a1), y + radius * pixel[1] * Math.sin(a1),
+              x + radius * pixel[0] * Math.cos(a2), y + radius * pixel[1] * Math.sin(a2));
+    }
+
+    /* Direction and spread */
+    const length = 24;
+    const directions = [emitter.direction - 0.5 * emitter.spread,
+                        emitter.direction,
+                        emitter.direction + 0.5 * emitter.spread];
+    for (let angle of directions) {
+      segment(x, y,
+              x + length * pixel[0] * Math.cos(angle),
+              y + length * pixel[1] * Math.sin(angle));
+    }
+  }
+
+  static initCountTexture(gl) {
+    let texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA32F, Emitters.MAX, 1, 0, gl.RGBA, gl.FLOAT, null);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    return texture;
+  }
+}
@@ -21,9 +21,16 @@ const FluidifyShaders = (function() {
       precision mediump float;
 
       uniform sampler2D uTexture;
+      uniform sampler2D uSpecies;
       uniform float uThreshold;
+      uniform vec4 uSpeciesThreshold; //relative to uThreshold
       uniform bool uShowNormals;
       uniform bool uShowLight;
+      uniform vec3 uLightDirection;
+      uniform float uDiffuseStrength;
+      uniform float uSpecularStrength;
+      uniform float uShininess;
+      uniform vec3 uSpecularColor;
       uniform vec2 uTexelSize;
       
       in vec2 sampleCoords;
@@ -40,13 +47,9 @@ const FluidifyShaders = (function() {
         vec3 n = cross(vec3(uTexelSize.x, 0, dx), vec3(0, uTexelSize.y, dy));
         n = normalize(n);
 
-        const vec3 lightDir = vec3(0.578, 0.578, -0.578);
-        const vec4 specularColor = vec4(1, 1, 1, 0);
-        const float k = 1.0;
-
-        float h = dot(n, lightDir);
+        float h = dot(n, uLightDirection);
         float diffuse = 2.0 * h + 1.0;
-        float specular = pow(smoothstep(0.79, 1.0, h), k);
+        float specular = pow(smoothstep(0.79, 1.0, h), uShininess);
 
         vec4 color = texture(uTexture, sampleCoords);
         float height = color.a;
@@ -54,10 +57,17 @@ const FluidifyShaders = (function() {
         color = vec4(0.5 * n  + 0.5, 1);
         }
 
-        float light = float(uShowLight) * (0.05 * diffuse + 50.0 * specular);
+        float light = float(uShowLight) * (uDiffuseStrength * diffuse + uSpecularStrength * specular);
 
-        float visible = step(uThreshold, height);
-        fragColor = visible * (color + light * specularColor);
+        /* Each species has its own threshold. Where they mix,
+         * the threshold is the average of theirs. */
+        vec4 species = texture(uSpecies, sampleCoords);
+        float coverage = dot(species, vec4(1));
+        float threshold = dot(species, uSpeciesThreshold) / max(coverage, 0.0001);
+        if (coverage < uThreshold * threshold) {
+          discard; //the background shows through
+        }
+        fragColor = color + light * vec4(uSpecularColor, 0);
       }`;
         
   const blurVertStr =
@@ -77,24 +87,29 @@ const FluidifyShaders = (function() {
       precision mediump float;
 
       uniform sampler2D uTexture;
+      uniform sampler2D uSpecies;
       uniform vec2 uStep;
       uniform float uKernel[___KERNEL_SIZE___];
       
       in vec2 sampleCoords;
       
-      out vec4 fragColor;
+      layout(location=0) out vec4 fragColor;
+      layout(location=1) out vec4 fragSpecies;
 
       void main(void)
       {
           vec4 result = vec4(0);
+          vec4 species = vec4(0);
           
           vec2 coords = sampleCoords - float(___KERNEL_SIZE___ / 2) * uStep;
           for (int i = 0 ; i < ___KERNEL_SIZE___; ++i) {
               result += uKernel[i] * texture(uTexture, coords);
+              species += uKernel[i] * texture(uSpecies, coords);
               coords += uStep;
           }
           
           fragColor = result;
+          fragSpecies = species;
       }`;
   
   let blurFragStr;
@@ -122,23 +137,15 @@ const FluidifyShaders = (function() {
 /**
  * Class for making the particles look like a fluid.
  * To do so it performs a Gaussian blur then a thresholding.
+ * Alongside the colors, the particles render the species they belong to
+ * (one per channel) into a second texture, which is blurred the same way
+ * and allows each species to have its own threshold.
  */
 class Fluidify {
   constructor(gl) {
     const width = gl.drawingBufferWidth;
     const height = gl.drawingBufferHeight;
     
-    this._rawTex = Fluidify.initTexture(gl, width, height);
-    this._halfBlurredTex = Fluidify.initTexture(gl, width, height);
-    this._blurredTex = Fluidify.initTexture(gl, width, height);
-    
-    this._depthBuffer = gl.createRenderbuffer();
-    gl.bindRenderbuffer(gl.RENDERBUFFER, this._depthBuffer);
-    gl.renderbufferStorage(gl.RENDERBUFFER, gl.DEPTH_COMPONENT16, width, height);
-    gl.bindRenderbuffer(gl.RENDERBUFFER, null);
-    
-    this._FBO = FBO.create(gl, width, height, true);
-    
     this._cornersVBO = VBO.createQuad(gl, 0, 0, 1, 1);
     this._cornersVAO = gl.createVertexArray();
     gl.bindVertexArray(this._cornersVAO);
@@ -148,15 +155,21 @@ class Fluidify {
     gl.bindVertexArray(null);
 
     this._displayShader = FluidifyShaders.getDisplayShader(gl);
-    this._displayShader.u["uTexelSize"].value = [1 / width, 1 / height];
-    this._displayShader.u["uTexture"].value = this._blurredTex;
+    this._FBO = null;
+    this.resize(gl, width, height);
 
     this._blurShader = FluidifyShaders.getBlurShader(gl, 1);
     this.setKernelSize(gl, 9); 
          
     this.threshold = 0.5;
+    this.speciesThresholds = [1, 1, 1, 1];
     this.showNormals = false;
     this.specular = true;
+    this.lightDirection = [0.578, 0.578, -0.578];
+    this.diffuseStrength = 0.05;
+    this.specularStrength = 50;
+    this.shininess = 1;
+    this.specularColor = [1, 1, 1];
   }
 
   /**
@@ -173,12 +186,95 @@ class Fluidify {
     this._displayShader.u["uThreshold"].value = value;
   }
 
+  /**
+   * @param {object} value array of the thresholds of the species,
+   *                 relative to the global threshold. 4 at most.
+  */
+  set speciesThresholds(value) {
+    const thresholds = [1, 1, 1, 1];
+    value.slice(0, 4).forEach((v, i) => { thresholds[i] = v; });
+    this._displayShader.u["uSpeciesThreshold"].value = thresholds;
+  }
+
   /**
    * @param {boolean} value
   */
   set specular(value) {
     this._displayShader.u["uShowLight"].value = value;
   }
+
+  /**
+   * @param {object} value [x,y,z] direction of the light, normalized here
+  */
+  set lightDirection(value) {
+    const length = Math.hypot(value[0], value[1], value[2]);
+    this._displayShader.u["uLightDirection"].value = value.map((x) => x / length);
+  }
+
+  /**
+   * @param {number} value
+  */
+  set diffuseStrength(value) {
+    this._displayShader.u["uDiffuseStrength"].value = value;
+  }
+
+  /**
+   * @param {number} value
+  */
+  set specularStrength(value) {
+    this._displayShader.u["uSpecularStrength"].value = value;
+  }
+
+  /**
+   * @param {number} value exponent of the specular highlights,
+   *                 the higher the sharper.
+  */
+  set shininess(value) {
+    this._displayShader.u["uShininess"].value = value;
+  }
+
+  /**
+   * @param {object} value [r,g,b] in [0,1]
+  */
+  set specularColor(value) {
+    this._displayShader.u["uSpecularColor"].value = value;
+  }
+  
+  /**
+   * Reallocates the intermediate renders, whose content is lost.
+   * @param {WebGLRenderingContext} gl
+   * @param {number} width
+   * @param {number} height
+   */
+  resize(gl, width, height) {
+    if (this._FBO !== null) {
+      const textures = [this._rawTex, this._halfBlurredTex, this._blurredTex,
+        this._rawSpeciesTex, this._halfBlurredSpeciesTex, this._blurredSpeciesTex];
+      for (let texture of textures) {
+        gl.deleteTexture(texture);
+      }
+      gl.deleteRenderbuffer(this._depthBuffer);
+      gl.deleteFramebuffer(this._FBO);
+    }
+
+    this._rawTex = Fluidify.initTexture(gl, width, height);
+    this._halfBlurredTex = Fluidify.initTexture(gl, width, height);
+    this._blurredTex = Fluidify.initTexture(gl, width, height);
+    this._rawSpeciesTex = Fluidify.initTexture(gl, width, height);
+    this._halfBlurredSpeciesTex = Fluidify.initTexture(gl, width, height);
+    this._blurredSpeciesTex = Fluidify.initTexture(gl, width, height);
+    
+    this._depthBuffer = gl.createRenderbuffer();
+    gl.bindRenderbuffer(gl.RENDERBUFFER, this._depthBuffer);
+    gl.renderbufferStorage(gl.RENDERBUFFER, gl.DEPTH_COMPONENT16, width, height);
+    gl.bindRenderbuffer(gl.RENDERBUFFER, null);
+    
+    this._FBO = FBO.create(gl, width, height, true);
+
+    this._displayShader.u["uTexelSize"].value = [1 / width, 1 / height];
+    this._displayShader.u["uTexture"].value = this._blurredTex;
+    this._displayShader.u["uSpecies"].value = this._blurredSpeciesTex;
+  }
   
   setKernelSize(gl, kernelSize) {
     this._blurShader = FluidifyShaders.getBlurShader(gl, kernelSize);
@@ -200,7 +296,7 @@ class Fluidify {
   }
   
   bindFBO(gl) {
-    this._FBO.bind(gl, this._rawTex, this._depthBuffer);
+    this._FBO.bind(gl, [this._rawTex, this._rawSpeciesTex], this._depthBuffer);
   }
 
   /**
@@ -214,17 +310,19 @@ class Fluidify {
 
     /* Horizontal blur */
     this._blurShader.u["uTexture"].value = this._rawTex;
+    this._blurShader.u["uSpecies"].value = this._rawSpeciesTex;
     this._blurShader.u["uStep"].value = [1 / this._FBO.width, 0];
     
-    this._FBO.bind(gl, this._halfBlurredTex, null);
+    this._FBO.bind(gl, [this._halfBlurredTex, this._halfBlurredSpeciesTex], null);
     this._blurShader.bindUniforms(gl);
     gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
     
     /* Vertical blur */
     this._blurShader.u["uTexture"].value = this._halfBlurredTex;
+    this._blurShader.u["uSpecies"].value = this._halfBlurredSpeciesTex;
     this._blurShader.u["uStep"].value = [0, 1 / this._FBO.height];
     
-    this._FBO.bind(gl, this._blurredTex, null);
+    this._FBO.bind(gl, [this._blurredTex, this._blurredSpeciesTex], null);
     this._blurShader.bindUniforms(gl);
     gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
 
@@ -0,0 +1,327 @@
+"use strict";
+
+/**
+ * Module for accessing, configuring and building shaders related
+ * to the ForceField class.
+ */
+const ForceFieldShaders = (function () {
+  /* Private static attributes */
+  const paintVertStr =
+      `#version 300 es
+      uniform vec2 uMousePos; //in [0,1]x[0,1]
+      uniform vec2 uBrushSize; //relative with the canvas size
+
+      layout(location=0) in vec2 aCorner; //in {0,1}x{0,1}
+
+      out vec2 fromCenter; //normalized with the brush size
+
+      void main(void) {
+          fromCenter = 2.0 * aCorner - 1.0;
+
+          vec2 c = uMousePos + uBrushSize * (aCorner - 0.5);
+          gl_Position = vec4(2.0*c - 1.0, 0.0, 1.0);
+      }`;
+
+  const paintFragStr =
+      `#version 300 es
+      precision mediump float;
+
+      #define WIND 0
+      #define VORTEX 1
+      #define ATTRACT 2
+      #define REPEL 3
+
+      uniform int uType;
+      uniform vec2 uWindDirection; //normalized
+
+      in vec2 fromCenter;
+
+      out vec4 fragColor;
+
+      void main(void) {
+          float sqDist = dot(fromCenter, fromCenter);
+          if (sqDist > 1.0) {
+              discard;
+          }
+
+          vec2 radial = fromCenter / max(sqrt(sqDist), 0.001);
+          vec2 force;
+          if (uType == WIND)
+              force = uWindDirection;
+          else if (uType == VORTEX)
+              force = vec2(-radial.y, radial.x);
+          else if (uType == ATTRACT)
+              force = -radial;
+          else
+              force = radial;
+
+          /* The stamp is blended with the existing field */
+          float weight = 1.0 - sqDist;
+          fragColor = vec4(0.5*force + 0.5, 0, weight);
+      }`;
+
+  const arrowsVertStr =
+      `#version 300 es
+      uniform sampler2D uForceField;
+      uniform int uGridSize; //number of arrows per row
+      uniform float uArrowLength; //relative with the canvas size
+
+      out float strength;
+
+      ___DECODE_FORCE___
+
+      void main(void) {
+          int arrow = gl_VertexID / 6;
+          int vertex = gl_VertexID % 6;
+
+          vec2 cell = vec2(arrow % uGridSize, arrow / uGridSize);
+          vec2 start = (cell + 0.5) / float(uGridSize); //in [0,1]x[0,1]
+          vec2 force = decodeForce(texture(uForceField, start));
+          strength = length(force);
+
+          vec2 shaft = uArrowLength * force;
+          vec2 end = start + shaft;
+          vec2 head = 0.3 * vec2(-shaft.x + shaft.y, -shaft.y - shaft.x);
+
+          vec2 pos = end;
+          if (vertex == 0)
+              pos = start;
+          else if (vertex == 3)
+              pos = end + head;
+          else if (vertex == 5)
+              pos = end + vec2(head.y, -head.x);
+
+          gl_Position = vec4(2.0*pos - 1.0, 0.0, 1.0);
+      }`;
+
+  const arrowsFragStr =
+      `#version 300 es
+      precision mediump float;
+
+      in float strength;
+
+      out vec4 fragColor;
+
+      void main(void) {
+          if (strength < 0.01)
+              discard;
+
+          fragColor = vec4(1, 0.3, 0.3, 1);
+      }`;
+
+  const decodeForceStr =
+      `vec2 decodeForce(vec4 texel)
+      {
+          vec2 force = 2.0 * texel.rg - 1.0;
+          /* The neutral value 127 is not exactly 0 */
+          return force * step(0.02, length(force));
+      }`;
+
+  /* Public static methods */
+  let visible = {
+    /**
+     * GLSL function vec2 decodeForce(vec4 texel), returning the
+     * local force with a norm in [0,1].
+     */
+    get decodeForceStr() {
+      return decodeForceStr;
+    },
+
+    getPaintShader: function(gl) {
+      return Shader.fromString(gl, paintVertStr, paintFragStr);
+    },
+
+    getArrowsShader: function(gl) {
+      const vertStr = arrowsVertStr.replace(/___DECODE_FORCE___/g, decodeForceStr);
+      return Shader.fromString(gl, vertStr, arrowsFragStr);
+    }
+  };
+
+  return Object.freeze(visible);
+})();
+
+
+/**
+ * Class for handling a paintable vector field of forces.
+ * Forces are stored in the red and green channels of a texture, and
+ * can be retrieved by computing 2*texel.rg - 1. Their norm is in [0,1]
+ * and is then scaled by the strength of the field.
+ */
+class ForceField {
+  /**
+   * @param {WebGLRenderingContext} gl
+   */
+  constructor(gl) {
+    const width = gl.drawingBufferWidth;
+    const height = gl.drawingBufferHeight;
+
+    this._texture = ForceField.initTexture(gl, width, height);
+    this._FBO = FBO.create(gl, width, height);
+
+    this._cornersVBO = VBO.createQuad(gl, 0, 0, 1, 1);
+    this._cornersVAO = gl.createVertexArray();
+    gl.bindVertexArray(this._cornersVAO);
+    gl.enableVertexAttribArray(0);  //corners attribute loc
+    gl.bindBuffer(gl.ARRAY_BUFFER, this._cornersVBO.data);
+    gl.vertexAttribPointer(0, this._cornersVBO.size, this._cornersVBO.type, false, 0, 0);
+    gl.bindVertexArray(null);
+
+    /* Arrows are generated from gl_VertexID only */
+    this._arrowsVAO = gl.createVertexArray();
+
+    this._paintShader = ForceFieldShaders.getPaintShader(gl);
+
+    this._arrowsShader = ForceFieldShaders.getArrowsShader(gl);
+    this._arrowsShader.u["uForceField"].value = this._texture;
+    this._arrowsShader.u["uGridSize"].value = ForceField.ARROWS_PER_ROW;
+    this._arrowsShader.u["uArrowLength"].value = 0.8 / ForceField.ARROWS_PER_ROW;
+
+    this.brushSize = [100 / width, 100 / height];
+    this.type = ForceField.WIND;
+    this.strength = 500;
+    this.displayArrows = false;
+  }
+
+  static get WIND() {
+    return 0;
+  }
+
+  static get VORTEX() {
+    return 1;
+  }
+
+  static get ATTRACT() {
+    return 2;
+  }
+
+  static get REPEL() {
+    return 3;
+  }
+
+  static get ARROWS_PER_ROW() {
+    return 24;
+  }
+
+  /**
+   * @param {object} value array [width,height] of the size of the brush,
+   *                 normalized with the map's size.
+  */
+  set brushSize(value) {
+    this._paintShader.u["uBrushSize"].value = value;
+  }
+
+  /**
+   * @param {number} value one of ForceField.WIND, VORTEX, ATTRACT or REPEL
+  */
+  set type(value) {
+    this._type = value;
+    this._paintShader.u["uType"].value = value;
+  }
+
+  get type() {
+    return this._type;
+  }
+
+  get texture() {
+    return this._texture;
+  }
+
+  /**
+   * @param {WebGLRenderingContext} gl
+   */
+  reset(gl) {
+    this._texture = ForceField.initTexture(gl, this._FBO.width, this._FBO.height);
+    this._arrowsShader.u["uForceField"].value = this._texture;
+  }
+
+  /**
+   * Resamples the field to a new size.
+   * @param {WebGLRenderingContext} gl
+   * @param {number} width
+   * @param {number} height
+   */
+  resize(gl, width, height) {
+    const resized = ForceField.initTexture(gl, width, height);
+    FBO.blit(gl, this._texture, this._FBO, resized, {width: width, height: height}, gl.LINEAR);
+    gl.deleteTexture(this._texture);
+    this._texture = resized;
+    this._arrowsShader.u["uForceField"].value = this._texture;
+
+    gl.deleteFramebuffer(this._FBO);
+    this._FBO = FBO.create(gl, width, height);
+  }
+
+  /**
+   * Paints forces around the given position.
+   * @param {WebGLRenderingContext} gl
+   * @param {number} mousePosX in [0,1]
+   * @param {number} mousePosY in [0,1]
+   * @param {number} dirX direction of the wind, used only for ForceField.WIND
+   * @param {number} dirY
+   */
+  paint(gl, mousePosX, mousePosY, dirX, dirY) {
+    if (this.type === ForceField.WIND) {
+      const length = Math.sqrt(dirX * dirX + dirY * dirY);
+      if (length === 0) {
+        return;
+      }
+      this._paintShader.u["uWindDirection"].value = [dirX / length, dirY / length];
+    }
+    this._paintShader.u["uMousePos"].value = [mousePosX, mousePosY];
+
+    this._FBO.bind(gl, this._texture, null);
+
+    gl.useProgram(this._paintShader);
+    this._paintShader.bindUniforms(gl);
+    gl.bindVertexArray(this._cornersVAO);
+
+    gl.enable(gl.BLEND);
+    gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    gl.disable(gl.BLEND);
+
+    gl.bindVertexArray(null);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+  }
+
+  /**
+   * Displays the field as arrows, if displayArrows is set.
+   * @param {WebGLRenderingContext} gl
+   */
+  draw(gl) {
+    if (!this.displayArrows) {
+      return;
+    }
+
+    const nbArrows = ForceField.ARROWS_PER_ROW * ForceField.ARROWS_PER_ROW;
+
+    gl.useProgram(this._arrowsShader);
+    this._arrowsShader.bindUniforms(gl);
+    gl.bindVertexArray(this._arrowsVAO);
+    gl.drawArrays(gl.LINES, 0, 6 * nbArrows);
+    gl.bindVertexArray(null);
+  }
+
+  /**
+   * Initializes a texture with no force.
+   * @param {WebGLRenderingContext} gl
+   * @param {number} width
+   * @param {number} height
+   * @returns {WebGLTexture}
+   */
+  static initTexture(gl, width, height) {
+    const texelData = new Uint8Array(4 * width * height);
+    texelData.fill(127);
+
+    let texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA8, width, height, 0,
+    gl.RGBA, gl.UNSIGNED_BYTE, texelData);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    return texture;
+  }
+}
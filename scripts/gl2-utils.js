@@ -184,6 +184,8 @@ const Shader = (function() {
     0x8B5C: {str: 'FLOAT_MAT4',     binder: bindUniformFloatMat4},
     0x8B5E: {str: 'SAMPLER_2D',     binder: bindSampler2D},
     0x8B60: {str: 'SAMPLER_CUBE',   binder: bindSamplerCube},
+    0x8DCA: {str: 'INT_SAMPLER_2D', binder: bindSampler2D},
+    0x8DD2: {str: 'UNSIGNED_INT_SAMPLER_2D', binder: bindSampler2D},
     0x1400: {str: 'BYTE',           binder:   notImplemented},
     0x1401: {str: 'UNSIGNED_BYTE',  binder:  notImplemented},
     0x1402: {str: 'SHORT',          binder:  notImplemented},
@@ -219,7 +221,8 @@ const Shader = (function() {
       if (valueExists) {
         const isArray = (uniform.size > 1 && uName.substr(-3) === "[0]");
         
-        if (uniform.type === 0x8B5E || uniform.type === 0x8B60) {
+        const binder = types[uniform.type].binder;
+        if (binder === bindSampler2D || binder === bindSamplerCube) {
           const unitNb = currTextureUnitNb;
           const unit = textureUnits[unitNb];
           types[uniform.type].binder(gl, uniform.loc, unitNb, unit, uniform.value);
@@ -320,12 +323,28 @@ const FBO = (function() {
       FBO.width = width;
       FBO.height = height;
       
+      FBO.nbColorAttachments = 1;
+
+      /* color can be a single texture or an array of textures,
+       * in which case they are bound to consecutive attachments. */
       FBO.bind = function(gl, color, depth=null) { 
         gl.bindFramebuffer(gl.FRAMEBUFFER, this);
         gl.viewport(0, 0, this.width, this.height);
       
-        gl.framebufferTexture2D(
-          gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, color, 0);
+        const colors = Array.isArray(color) ? color : [color];
+        const attachments = [];
+        for (let i = 0; i < Math.max(colors.length, this.nbColorAttachments); ++i) {
+          const texture = (i < colors.length) ? colors[i] : null;
+          gl.framebufferTexture2D(
+            gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0 + i, gl.TEXTURE_2D, texture, 0);
+          if (i < colors.length) {
+            attachments.push(gl.COLOR_ATTACHMENT0 + i);
+          }
+        }
+        if (colors.length !== this.nbColorAttachments) {
+          gl.drawBuffers(attachments);
+          this.nbColorAttachments = colors.length;
+        }
         
         if (depth !== null) {
           gl.bindRenderbuffer(gl.RENDERBUFFER, depth);
@@ -340,6 +359,34 @@ const FBO = (function() {
     bindDefault: function(gl) {
       gl.bindFramebuffer(gl.FRAMEBUFFER, null);
       gl.viewport(0, 0, gl.drawingBufferWidth, gl.drawingBufferHeight);
+    },
+
+    /**
+     * Copies a texture into another one of the same format, stretching it.
+     * @param {WebGLRenderingContext} gl
+     * @param {WebGLTexture} src
+     * @param {object} srcSize {width, height}
+     * @param {WebGLTexture} dst
+     * @param {object} dstSize {width, height}
+     * @param {GLenum} filter gl.NEAREST or gl.LINEAR
+     */
+    blit: function(gl, src, srcSize, dst, dstSize, filter) {
+      const readFBO = gl.createFramebuffer();
+      gl.bindFramebuffer(gl.READ_FRAMEBUFFER, readFBO);
+      gl.framebufferTexture2D(gl.READ_FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, src, 0);
+
+      const drawFBO = gl.createFramebuffer();
+      gl.bindFramebuffer(gl.DRAW_FRAMEBUFFER, drawFBO);
+      gl.framebufferTexture2D(gl.DRAW_FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, dst, 0);
+
+      gl.blitFramebuffer(0, 0, srcSize.width, srcSize.height,
+                         0, 0, dstSize.width, dstSize.height,
+                         gl.COLOR_BUFFER_BIT, filter);
+
+      gl.bindFramebuffer(gl.READ_FRAMEBUFFER, null);
+      gl.bindFramebuffer(gl.DRAW_FRAMEBUFFER, null);
+      gl.deleteFramebuffer(readFBO);
+      gl.deleteFramebuffer(drawFBO);
     }
   };
   
@@ -376,7 +423,39 @@ const VBO = (function() {
 })();
 
 const Utils = (function() {
+  /* Private static methods */
+
+  /**
+   * @returns {Promise} resolved once the GPU has executed
+   *          all the commands issued so far.
+   */
+  function waitForGPU(gl) {
+    const sync = gl.fenceSync(gl.SYNC_GPU_COMMANDS_COMPLETE, 0);
+    gl.flush();
+
+    return new Promise((resolve, reject) => {
+      const poll = () => {
+        const status = gl.clientWaitSync(sync, 0, 0);
+        if (status === gl.TIMEOUT_EXPIRED) {
+          setTimeout(poll, 4);
+          return;
+        }
+
+        gl.deleteSync(sync);
+        if (status === gl.WAIT_FAILED) {
+          reject(new Error("Failed to wait for the GPU."));
+        } else {
+          resolve();
+        }
+      };
+      setTimeout(poll, 0);
+    });
+  }
+
   const visible = {
+    /**
+     * @returns {boolean} whether the canvas size changed
+     */
     resizeCanvas: function(gl, hidpi=false) {
       const cssPixel = (hidpi) ? window.devicePixelRatio : 1;
 
@@ -385,7 +464,80 @@ const Utils = (function() {
       if (gl.canvas.width != width || gl.canvas.height != height) {
          gl.canvas.width = width;
          gl.canvas.height = height;
+         return true;
       }
+      return false;
+    },
+
+    /**
+     * Reads a buffer without stalling the pipeline: its content is copied
+     * right away, and retrieved once the GPU is done with the copy.
+     * @param {WebGLRenderingContext} gl
+     * @param {WebGLBuffer} buffer
+     * @param {ArrayBufferView} dstArray receives the first bytes of the buffer
+     * @returns {Promise} resolved with dstArray
+     */
+    readBufferAsync: function(gl, buffer, dstArray) {
+      const staging = gl.createBuffer();
+      gl.bindBuffer(gl.COPY_READ_BUFFER, buffer);
+      gl.bindBuffer(gl.COPY_WRITE_BUFFER, staging);
+      gl.bufferData(gl.COPY_WRITE_BUFFER, dstArray.byteLength, gl.STREAM_READ);
+      gl.copyBufferSubData(gl.COPY_READ_BUFFER, gl.COPY_WRITE_BUFFER, 0, 0, dstArray.byteLength);
+      gl.bindBuffer(gl.COPY_READ_BUFFER, null);
+      gl.bindBuffer(gl.COPY_WRITE_BUFFER, null);
+
+      const read = () => {
+        gl.bindBuffer(gl.COPY_READ_BUFFER, staging);
+        gl.getBufferSubData(gl.COPY_READ_BUFFER, 0, dstArray);
+        gl.bindBuffer(gl.COPY_READ_BUFFER, null);
+        return dstArray;
+      };
+      return waitForGPU(gl).then(read).finally(() => { gl.deleteBuffer(staging); });
+    },
+
+    /**
+     * Reads pixels of the bound framebuffer without stalling the pipeline,
+     * through a pixel buffer.
+     * @param {WebGLRenderingContext} gl
+     * @param {number} x
+     * @param {number} y
+     * @param {number} width
+     * @param {number} height
+     * @param {GLenum} format
+     * @param {GLenum} type
+     * @param {ArrayBufferView} dstArray
+     * @returns {Promise} resolved with dstArray
+     */
+    readPixelsAsync: function(gl, x, y, width, height, format, type, dstArray) {
+      const pixelBuffer = gl.createBuffer();
+      gl.bindBuffer(gl.PIXEL_PACK_BUFFER, pixelBuffer);
+      gl.bufferData(gl.PIXEL_PACK_BUFFER, dstArray.byteLength, gl.STREAM_READ);
+      gl.readPixels(x, y, width, height, format, type, 0);
+      gl.bindBuffer(gl.PIXEL_PACK_BUFFER, null);
+
+      const read = () => {
+        gl.bindBuffer(gl.COPY_READ_BUFFER, pixelBuffer);
+        gl.getBufferSubData(gl.COPY_READ_BUFFER, 0, dstArray);
+        gl.bindBuffer(gl.COPY_READ_BUFFER, null);
+        return dstArray;
+      };
+      return waitForGPU(gl).then(read).finally(() => { gl.deleteBuffer(pixelBuffer); });
+    },
+
+    /**
+     * Creates a pseudo-random numbers generator (mulberry32).
+     * @param {number} seed integer
+     * @returns {function} generator of numbers in [0,1)
+     */
+    seededRandom: function(seed) {
+      let state = seed >>> 0;
+      return function() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+      };
     }
   };
   
@@ -0,0 +1,131 @@
+"use strict";
+
+/**
+ * Obstacle following a prescribed motion, such as a water wheel or a gate.
+ * It is not affected by the particles, but it pushes them: its surface
+ * velocity is transferred to the particles bouncing on it.
+ * Positions are normalized with the canvas size, in [0,1]x[0,1], whereas
+ * sizes are in pixels so that rotating shapes keep their proportions.
+ *
+ * The motion combines a rotation around the center, an oscillation of
+ * the center, and a keyframed path. When a path is given, it replaces the
+ * position, and its angles add up to the rotation.
+ */
+class KinematicObstacle {
+  /**
+   * @param {object} params optional shape, size ([width,height] of a box,
+   *                 [radius,blade thickness] of a wheel, in pixels), nbBlades,
+   *                 material (index in ObstacleMap.MATERIALS), position,
+   *                 angle (radians), angularSpeed (radians per second,
+   *                 counterclockwise), amplitude ([x,y] of the oscillation),
+   *                 period (of the oscillation, in seconds) and path.
+   *                 A path is an array of keyframes {time, position, angle},
+   *                 time being in seconds and increasing. It loops, so its last
+   *                 keyframe should match its first one for a smooth motion.
+   */
+  constructor(params = {}) {
+    this.shape = (typeof params.shape !== typeof undefined) ? params.shape : KinematicObstacle.BOX;
+    this.size = params.size || [20, 100];
+    this.nbBlades = params.nbBlades || 6;
+    this.material = params.material || 0;
+    this.position = params.position || [0.5, 0.5];
+    this.angle = params.angle || 0;
+    this.angularSpeed = params.angularSpeed || 0;
+    this.amplitude = params.amplitude || [0, 0];
+    this.period = params.period || 1;
+    this.path = params.path || null;
+  }
+
+  static get BOX() {
+    return 0;
+  }
+
+  static get WHEEL() {
+    return 1;
+  }
+
+  static get MAX_BLADES() {
+    return 16;
+  }
+
+  /**
+   * Radius of the disc containing the whole obstacle, in pixels.
+   */
+  get boundingRadius() {
+    if (this.shape === KinematicObstacle.WHEEL) {
+      return this.size[0] + 0.5 * this.size[1];
+    }
+    return 0.5 * Math.hypot(this.size[0], this.size[1]);
+  }
+
+  /**
+   * @param {number} time in seconds
+   * @returns {object} {position, angle} of the obstacle at this time,
+   *          and {linearVelocity, angularVelocity} of its center,
+   *          the linear velocity being normalized with the canvas size.
+   */
+  stateAt(time) {
+    let state = {
+      position: this.position.slice(),
+      angle: this.angle + this.angularSpeed * time,
+      linearVelocity: [0, 0],
+      angularVelocity: this.angularSpeed
+    };
+
+    if (this.path !== null && this.path.length > 0) {
+      const key = this._pathAt(time);
+      state.position = key.position;
+      state.angle += key.angle;
+      state.linearVelocity = key.linearVelocity;
+      state.angularVelocity += key.angularVelocity;
+    }
+
+    const pulsation = 2 * Math.PI / this.period;
+    const sin = Math.sin(pulsation * time);
+    const cos = Math.cos(pulsation * time);
+    for (let i = 0; i < 2; ++i) {
+      state.position[i] += this.amplitude[i] * sin;
+      state.linearVelocity[i] += this.amplitude[i] * pulsation * cos;
+    }
+
+    return state;
+  }
+
+  /**
+   * Linear interpolation between the keyframes surrounding the time.
+   */
+  _pathAt(time) {
+    const path = this.path;
+    const first = path[0];
+    const last = path[path.length - 1];
+    const duration = last.time;
+    const t = (duration > 0) ? time - duration * Math.floor(time / duration) : 0;
+
+    let next = 1;
+    while (next < path.length && path[next].time < t) {
+      ++next;
+    }
+    if (t <= first.time || next === path.length) {
+      const key = (t <= first.time) ? first : last;
+      return {
+        position: key.position.slice(),
+        angle: key.angle || 0,
+        linearVelocity: [0, 0],
+        angularVelocity: 0
+      };
+    }
+
+    const from = path[next - 1];
+    const to = path[next];
+    const span = Math.max(to.time - from.time, 1e-6);
+    const r = (t - from.time) / span;
+    const fromAngle = from.angle || 0;
+    const toAngle = to.angle || 0;
+    return {
+      position: [0, 1].map((i) => from.position[i] + r * (to.position[i] - from.position[i])),
+      angle: fromAngle + r * (toAngle - fromAngle),
+      linearVelocity: [0, 1].map((i) => (to.position[i] - from.position[i]) / span),
+      angularVelocity: (toAngle - fromAngle) / span
+    };
+  }
+}
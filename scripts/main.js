@@ -56,6 +56,9 @@ function main() {
   const particles = new Particles(gl, 16*16);
   const obstacles = new ObstacleMap(gl);
   const fluidifier = new Fluidify(gl);
+  const forceField = new ForceField(gl);
+  const probes = new Probes(gl);
+  fluidifier.speciesThresholds = Particles.SPECIES.map((s) => s.threshold);
   
   /* The default rendering mode is blurred. */
   let fluidMode = true;
@@ -65,8 +68,68 @@ function main() {
   };
   Controls.setFluidMode(true);
 
+  /* The theme colors the water and the background */
+  let theme = Theme.fromName("default");
+  Controls.setTheme = (newTheme) => {
+    theme = newTheme;
+    theme.apply(fluidifier, particles);
+  };
+  Controls.setTheme(theme);
+
+  /* The simulation advances by fixed steps, each one being split into
+   * substeps, so that it doesn't depend on the framerate. */
+  const FIXED_DT = 1 / 60;
+  let substeps = 1;
+  Controls.setSubsteps = (n) => { substeps = n; };
+
+  /* The benchmark measures the mean frame time with each particles storage.
+   * It waits for the GPU to complete each frame, which is slow but precise. */
+  const BENCHMARK_FRAMES = 120;
+  const benchmarkText = document.getElementById("benchmark-text");
+  let benchmark = null;
+  Controls.runBenchmark = () => {
+    if (benchmark === null) {
+      benchmark = {
+        storages: [false, true],
+        results: [],
+        frame: 0,
+        totalTime: 0,
+        start: 0,
+        initialStorage: particles.packedStorage
+      };
+      benchmarkText.textContent = "running...";
+      particles.setPackedStorage(gl, benchmark.storages[0]);
+    }
+  };
+  const endBenchmarkFrame = function() {
+    gl.finish();
+    benchmark.totalTime += performance.now() - benchmark.start;
+    if (++benchmark.frame < BENCHMARK_FRAMES) {
+      return;
+    }
+
+    benchmark.results.push(benchmark.totalTime / BENCHMARK_FRAMES);
+    benchmark.frame = 0;
+    benchmark.totalTime = 0;
+    if (benchmark.results.length < benchmark.storages.length) {
+      particles.setPackedStorage(gl, benchmark.storages[benchmark.results.length]);
+    } else {
+      benchmarkText.textContent =
+        "float32 " + benchmark.results[0].toFixed(2) + " ms, " +
+        "packed " + benchmark.results[1].toFixed(2) + " ms";
+      particles.setPackedStorage(gl, benchmark.initialStorage);
+      benchmark = null;
+    }
+  };
+
   /* Bind the HTML inputs to the simulation */
-  Controls.bind(gl, canvas, particles, obstacles, fluidifier);
+  Controls.bind(gl, canvas, particles, obstacles, fluidifier, forceField, probes);
+  if (!particles.pressureSupported) {
+    Controls.disablePressure();
+  }
+  if (!probes.supported) {
+    Controls.disableProbes();
+  }
   
   /* Update the FPS indicator every second. */
   let instantFPS;
@@ -75,9 +138,43 @@ function main() {
     fpsText.textContent = instantFPS.toFixed(0);
     };
   setInterval(updateFpsText, 1000);
+
+  /* Statistics require reading the particles back, which is costly
+   * so they are computed on demand only. */
+  const statisticsCheckbox = document.getElementById("statistics-checkbox");
+  const aliveText = document.getElementById("alive-text");
+  const meanSpeedText = document.getElementById("mean-speed-text");
+  let readingStatistics = false;
+  const updateStatistics = function() {
+    /* A slow readback delays the next one rather than piling up with it */
+    if (statisticsCheckbox.checked && !readingStatistics) {
+      readingStatistics = true;
+      particles.readback(gl).then((state) => {
+        const statistics = new Statistics(state);
+        aliveText.textContent = statistics.nbAlive;
+        meanSpeedText.textContent = statistics.meanSpeed.toFixed(0) + " px/s";
+      }).catch((error) => {
+        console.log("Could not read the particles back: " + error.message);
+      }).finally(() => {
+        readingStatistics = false;
+      });
+    }
+  };
+  setInterval(updateStatistics, 1000);
   
   let lastUpdate = 0;
+  let accumulatedTime = 0;
   function mainLoop(time) {
+    /* The simulation follows the size of the canvas */
+    if (Utils.resizeCanvas(gl, false)) {
+      const width = gl.drawingBufferWidth;
+      const height = gl.drawingBufferHeight;
+      particles.resize(gl, width, height);
+      obstacles.resize(gl, width, height);
+      fluidifier.resize(gl, width, height);
+      forceField.resize(gl, width, height);
+    }
+
     time *= 0.001; //dt is now in seconds
     let dt = time - lastUpdate;
     instantFPS = 1 / dt;
@@ -85,27 +182,51 @@ function main() {
     
     /* If the javascript was paused (tab lost focus), the dt may be too big.
      * In that case we adjust it so the simulation resumes correctly. */
-    dt = Math.min(dt, 1 / 10);
-    particles.update(gl, obstacles, dt);
+    accumulatedTime += Math.min(dt, 1 / 10);
+    if (benchmark !== null) {
+      /* Exactly one step per frame, so that frame times are comparable. */
+      accumulatedTime = FIXED_DT;
+      gl.finish();
+      benchmark.start = performance.now();
+    }
+    obstacles.update(gl, particles.speed * FIXED_DT * Math.floor(accumulatedTime / FIXED_DT));
+    while (accumulatedTime >= FIXED_DT) {
+      for (let i = 0; i < substeps; ++i) {
+        particles.update(gl, obstacles, forceField, FIXED_DT / substeps);
+        probes.count(gl, particles, particles.speed * FIXED_DT / substeps);
+      }
+      accumulatedTime -= FIXED_DT;
+    }
         
     /* Drawing */
     if (fluidMode) {
+      /* The blur needs a transparent background */
       fluidifier.bindFBO(gl);
+      gl.clearColor(0.0, 0.0, 0.0, 0.0);
       gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
       particles.draw(gl);
       
       fluidifier.process(gl);
       
       FBO.bindDefault(gl);
+      gl.clearColor.apply(gl, theme.background);
       gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
       fluidifier.draw(gl);
       obstacles.draw(gl);
     } else {
       FBO.bindDefault(gl);
+      gl.clearColor.apply(gl, theme.background);
       gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
       particles.draw(gl);
       obstacles.draw(gl);
     }
+    forceField.draw(gl);
+    particles.drawEmitters(gl);
+    probes.draw(gl);
+
+    if (benchmark !== null) {
+      endBenchmarkFrame();
+    }
     
     requestAnimationFrame(mainLoop);
   }
@@ -0,0 +1,73 @@
+"use strict";
+
+/**
+ * Silhouette of obstacles read from an image, see ObstacleMap.setStaticObstacles.
+ * If the image has transparent parts, opaque pixels are solid. Otherwise
+ * dark pixels are solid.
+ */
+class ObstacleImage {
+  /**
+   * @param {CanvasImageSource} image
+   * @param {number} width of the obstacles map, the image is stretched to it
+   * @param {number} height of the obstacles map
+   */
+  constructor(image, width, height) {
+    this._width = width;
+    this._height = height;
+
+    let canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = height;
+    let context = canvas.getContext("2d");
+    context.drawImage(image, 0, 0, width, height);
+    const pixels = context.getImageData(0, 0, width, height).data;
+
+    let useAlpha = false;
+    for (let i = 0; i < width * height && !useAlpha; ++i) {
+      useAlpha = pixels[4*i+3] < 255;
+    }
+
+    /* Images rows start from the top, textures rows from the bottom */
+    this._solid = new Uint8Array(width * height);
+    for (let y = 0; y < height; ++y) {
+      for (let x = 0; x < width; ++x) {
+        const i = 4 * ((height - 1 - y) * width + x);
+        const luminance = 0.2126 * pixels[i] + 0.7152 * pixels[i+1] + 0.0722 * pixels[i+2];
+        this._solid[y * width + x] = useAlpha ? (pixels[i+3] >= 128) : (luminance < 128);
+      }
+    }
+  }
+
+  /**
+   * @param {File} file PNG or JPEG image
+   * @param {number} width of the obstacles map
+   * @param {number} height of the obstacles map
+   * @returns {Promise} resolved with an ObstacleImage
+   */
+  static fromFile(file, width, height) {
+    if (!/^image\/(png|jpeg)$/.test(file.type)) {
+      return Promise.reject(new Error("Only PNG and JPEG images are supported."));
+    }
+
+    return createImageBitmap(file).then((bitmap) => {
+      const obstacleImage = new ObstacleImage(bitmap, width, height);
+      bitmap.close();
+      return obstacleImage;
+    });
+  }
+
+  get width() {
+    return this._width;
+  }
+
+  get height() {
+    return this._height;
+  }
+
+  /**
+   * @returns {boolean} whether the texel (x,y) is solid, y being 0 at the bottom.
+   */
+  isSolid(x, y) {
+    return this._solid[y * this._width + x] !== 0;
+  }
+}
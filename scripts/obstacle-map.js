@@ -27,17 +27,135 @@ const ObstacleMapShaders = (function () {
       `#version 300 es
       precision mediump float;
 
+      uniform bool uSquareBrush;
+      uniform float uMaterial;
+
+      in vec2 fromCenter;
+      
+      out vec4 fragColor;
+
+      void main(void) {
+          if (!uSquareBrush && dot(fromCenter, fromCenter) > 1.0) {
+              discard;
+          }
+          
+          fragColor = vec4(1, uMaterial / 255.0, 0, 1);
+      }`;
+
+  const addSinkFragStr =
+      `#version 300 es
+      precision mediump float;
+
+      uniform bool uSquareBrush;
+
+      in vec2 fromCenter;
+      
+      out vec4 fragColor;
+
+      void main(void) {
+          if (!uSquareBrush && dot(fromCenter, fromCenter) > 1.0) {
+              discard;
+          }
+          
+          fragColor = vec4(1);
+      }`;
+
+  /* Shapes are rasterized over their bounding box, in pixels
+   * so that distances are isotropic. */
+  const addShapeVertStr =
+      `#version 300 es
+      uniform vec2 uBoxMin; //in [0,1]x[0,1]
+      uniform vec2 uBoxMax; //in [0,1]x[0,1]
+      uniform vec2 uMapSize; //in pixels
+      
+      layout(location=0) in vec2 aCorner; //in {0,1}x{0,1}
+
+      out vec2 pixelCoords;
+      
+      void main(void) {
+          vec2 c = mix(uBoxMin, uBoxMax, aCorner);
+          pixelCoords = c * uMapSize;
+          gl_Position = vec4(2.0*c - 1.0, 0.0, 1.0);
+      }`;
+
+  const addShapeFragStr =
+      `#version 300 es
+      precision highp float;
+
+      #define SEGMENT 0
+      #define RECTANGLE 1
+      #define POLYGON 2
+      #define MAX_VERTICES ___MAX_VERTICES___
+
+      uniform int uShapeType;
+      uniform vec2 uVertices[MAX_VERTICES]; //in pixels
+      uniform int uNbVertices;
+      uniform float uRadius; //half thickness of segments, in pixels
+      uniform float uMaterial;
+
+      in vec2 pixelCoords;
+      
+      out vec4 fragColor;
+
+      vec2 closestOnSegment(vec2 p, vec2 a, vec2 b) {
+          vec2 ab = b - a;
+          float t = clamp(dot(p - a, ab) / max(dot(ab, ab), 1e-6), 0.0, 1.0);
+          return a + t * ab;
+      }
+
+      void main(void) {
+          vec2 p = pixelCoords;
+
+          if (uShapeType == SEGMENT) {
+              vec2 a = uVertices[0];
+              vec2 b = uVertices[1];
+              if (distance(p, closestOnSegment(p, a, b)) > uRadius) {
+                  discard;
+              }
+          } else if (uShapeType == RECTANGLE) {
+              vec2 low = min(uVertices[0], uVertices[1]);
+              vec2 high = max(uVertices[0], uVertices[1]);
+              if (any(lessThan(p, low)) || any(greaterThan(p, high))) {
+                  discard;
+              }
+          } else {
+              /* Even-odd rule */
+              bool inside = false;
+              for (int i = 0; i < MAX_VERTICES; ++i) {
+                  if (i >= uNbVertices)
+                      break;
+
+                  vec2 a = uVertices[i];
+                  vec2 b = uVertices[(i + 1) % uNbVertices];
+                  if ((a.y > p.y) != (b.y > p.y) &&
+                      p.x < a.x + (p.y - a.y) * (b.x - a.x) / (b.y - a.y)) {
+                      inside = !inside;
+                  }
+              }
+              if (!inside) {
+                  discard;
+              }
+          }
+          
+          fragColor = vec4(1, uMaterial / 255.0, 0, 1);
+      }`;
+
+  const eraseFragStr =
+      `#version 300 es
+      precision mediump float;
+
+      uniform bool uSquareBrush;
+
       in vec2 fromCenter;
       
       out vec4 fragColor;
 
       void main(void) {
-          if (dot(fromCenter, fromCenter) > 1.0) {
+          if (!uSquareBrush && dot(fromCenter, fromCenter) > 1.0) {
               discard;
           }
           
-          vec2 normal = normalize(fromCenter);
-          fragColor = vec4(0.5*normal + 0.5, 0, 1);
+          fragColor = vec4(0);
       }`;
 
   const addMobileVertStr =
@@ -55,23 +173,152 @@ const ObstacleMapShaders = (function () {
       `#version 300 es
       precision mediump float;
 
+      #define MAX_MOBILES ___MAX_MOBILES___
+
       uniform sampler2D uStaticTexture;
       
-      uniform vec2 uMousePos; //in [0,1]x[0,1]
+      uniform vec2 uMobilePos[MAX_MOBILES]; //in [0,1]x[0,1]
+      uniform vec2 uMobileVelocity[MAX_MOBILES]; //in pixels per second
+      uniform int uNbMobiles;
       uniform vec2 uBrushSize; //relative with the canvas size
       
       in vec2 sampleCoords;
       
-      out vec4 fragColor;
+      layout(location=0) out vec4 fragColor;
+      layout(location=1) out vec4 fragVelocity;
+
+      ___ENCODE_VELOCITY___
 
       void main(void) {
-          vec2 fromCenter = 2.0 * (sampleCoords - uMousePos) / uBrushSize;
-          if (dot(fromCenter, fromCenter) < 1.0) {
-              vec2 normal = normalize(fromCenter);
-              fragColor = vec4(0.5*normal + 0.5, 0, 1);
-          } else {
-              fragColor = texture(uStaticTexture, sampleCoords);
+          fragColor = texture(uStaticTexture, sampleCoords);
+          fragVelocity = encodeVelocity(vec2(0));
+
+          for (int i = 0; i < MAX_MOBILES; ++i) {
+              if (i >= uNbMobiles)
+                  break;
+
+              vec2 fromCenter = 2.0 * (sampleCoords - uMobilePos[i]) / uBrushSize;
+              if (dot(fromCenter, fromCenter) < 1.0) {
+                  fragColor = vec4(1, 0, 0, 1);
+                  fragVelocity = encodeVelocity(uMobileVelocity[i]);
+              }
+          }
+      }`;
+
+  /* Kinematic obstacles are rasterized over their bounding square,
+   * in their own frame. */
+  const addKinematicVertStr =
+      `#version 300 es
+      uniform vec2 uCenter; //in pixels
+      uniform float uAngle; //in radians
+      uniform float uExtent; //half size of the bounding square, in pixels
+      uniform vec2 uMapSize; //in pixels
+      
+      layout(location=0) in vec2 aCorner; //in {0,1}x{0,1}
+
+      out vec2 localCoords; //in pixels
+      
+      void main(void) {
+          localCoords = uExtent * (2.0 * aCorner - 1.0);
+        
+          float c = cos(uAngle);
+          float s = sin(uAngle);
+          vec2 p = uCenter + mat2(c, s, -s, c) * localCoords;
+          gl_Position = vec4(2.0 * p / uMapSize - 1.0, 0.0, 1.0);
+      }`;
+
+  const addKinematicFragStr =
+      `#version 300 es
+      precision highp float;
+
+      #define BOX 0
+      #define WHEEL 1
+      #define MAX_BLADES ___MAX_BLADES___
+
+      uniform int uShape;
+      uniform vec2 uSize; //in pixels
+      uniform int uNbBlades;
+      uniform float uMaterial;
+      uniform float uAngle; //in radians
+      uniform vec2 uLinearVelocity; //in pixels per second
+      uniform float uAngularVelocity; //in radians per second
+
+      in vec2 localCoords;
+      
+      layout(location=0) out vec4 fragColor;
+      layout(location=1) out vec4 fragVelocity;
+
+      ___ENCODE_VELOCITY___
+
+      const float PI = 3.14159265;
+
+      bool isInside(vec2 p) {
+          if (uShape == BOX) {
+              return all(lessThanEqual(abs(p), 0.5 * uSize));
+          }
+          
+          /* A hub and blades */
+          float radius = uSize.x;
+          float thickness = uSize.y;
+          if (length(p) <= max(thickness, 0.25 * radius)) {
+              return true;
+          }
+          for (int i = 0; i < MAX_BLADES; ++i) {
+              if (i >= uNbBlades)
+                  break;
+
+              float a = 2.0 * PI * float(i) / float(uNbBlades);
+              vec2 direction = vec2(cos(a), sin(a));
+              float along = dot(p, direction);
+              float across = dot(p, vec2(-direction.y, direction.x));
+              if (along >= 0.0 && along <= radius && abs(across) <= 0.5 * thickness) {
+                  return true;
+              }
+          }
+          return false;
+      }
+
+      void main(void) {
+          if (!isInside(localCoords)) {
+              discard;
           }
+
+          float c = cos(uAngle);
+          float s = sin(uAngle);
+          vec2 fromCenter = mat2(c, s, -s, c) * localCoords;
+          vec2 velocity = uLinearVelocity + uAngularVelocity * vec2(-fromCenter.y, fromCenter.x);
+          
+          fragColor = vec4(1, uMaterial / 255.0, 0, 1);
+          fragVelocity = encodeVelocity(velocity);
+      }`;
+
+  /* Velocities are stored in 8 bits around 127, so that a null velocity
+   * is stored and read back exactly, whereas 0.5 would be rounded to 128. */
+  const encodeVelocityRawStr =
+      `const float MAX_SURFACE_SPEED = ___MAX_SURFACE_SPEED___;
+
+      vec4 encodeVelocity(vec2 velocity)
+      {
+          vec2 encoded = 127.0 + 127.0 * clamp(velocity / MAX_SURFACE_SPEED, -1.0, 1.0);
+          return vec4(encoded / 255.0, 0, 1);
+      }`;
+
+  const previewVertStr =
+      `#version 300 es
+      layout(location=0) in vec2 aPos; //in [0,1]x[0,1]
+
+      void main(void) {
+          gl_Position = vec4(2.0*aPos - 1.0, 0.0, 1.0);
+      }`;
+
+  const previewFragStr =
+      `#version 300 es
+      precision mediump float;
+
+      out vec4 fragColor;
+
+      void main(void) {
+          fragColor = vec4(1);
       }`;
 
   const drawVertStr =
@@ -89,38 +336,297 @@ const ObstacleMapShaders = (function () {
       `#version 300 es
       precision mediump float;
 
+      #define FLAT 0
+      #define SHADED 1
+      #define NORMALS 2
+
       uniform sampler2D uObstaclesBuffer;
-      uniform bool uDisplayNormals;
+      uniform sampler2D uSinksBuffer;
+      uniform int uDrawMode;
+      uniform vec3 uMaterialColors[___NB_MATERIALS___];
+
+      uniform sampler2D uRockTexture; //tiling
+      uniform bool uTextured;
+      uniform vec3 uLightDirection; //normalized, towards the light
       
       in vec2 sampleCoords;
       
       out vec4 fragColor;
 
+      ___DECODE_OBSTACLE___
+
+      const float BEVEL_WIDTH = 8.0; //in pixels
+      const float OUTLINE_WIDTH = 1.5; //in pixels
+      const float AO_RADIUS = 12.0; //in pixels
+      const float AMBIENT = 0.35;
+
+      /* Darkens the crevices: the more solid around an edge, the more concave it is */
+      float occlusion(vec2 texelSize, float bevel) {
+          float solid = 0.0;
+          for (int i = 0; i < 8; ++i) {
+              float a = 0.785398 * float(i);
+              vec2 offset = AO_RADIUS * vec2(cos(a), sin(a)) * texelSize;
+              solid += step(obstacleDistance(texture(uObstaclesBuffer, sampleCoords + offset)), 0.0);
+          }
+          return 1.0 - 0.6 * bevel * clamp(2.0 * solid / 8.0 - 1.0, 0.0, 1.0);
+      }
+
+      vec3 shade(vec4 texel, vec3 color) {
+          vec2 mapSize = vec2(textureSize(uObstaclesBuffer, 0));
+          float dist = obstacleDistance(texel);
+
+          if (uTextured) {
+              vec2 textureCoords = sampleCoords * mapSize / vec2(textureSize(uRockTexture, 0));
+              color *= 0.4 + 1.2 * texture(uRockTexture, textureCoords).rgb;
+          }
+
+          /* The edges are bevelled, the inside faces the viewer */
+          float bevel = 1.0 - smoothstep(0.0, BEVEL_WIDTH, -dist);
+          vec3 normal = normalize(vec3(bevel * obstacleNormal(texel), 1.0 - 0.8 * bevel));
+          float diffuse = max(dot(normal, uLightDirection), 0.0);
+          color *= AMBIENT * occlusion(1.0 / mapSize, bevel) + (1.0 - AMBIENT) * diffuse;
+
+          float outline = 1.0 - smoothstep(0.0, OUTLINE_WIDTH, -dist);
+          return color * (1.0 - 0.7 * outline);
+      }
+
       void main(void) {
           vec4 texel = texture(uObstaclesBuffer, sampleCoords);
-          vec2 normal = 2.0 * texel.rg - 1.0;
-          
-          if (dot(normal, normal) < 0.1)
-              discard;
+          float dist = obstacleDistance(texel);
           
-          if (uDisplayNormals)
-              fragColor = vec4(texel.rg, 0, 1);
-          else
-              fragColor = vec4(0.6, 0.6, 0.6, 1);
+          if (dist >= 0.0) {
+              if (texture(uSinksBuffer, sampleCoords).r >= 0.5) {
+                  fragColor = vec4(0.45, 0.1, 0.55, 1);
+              } else if (uDrawMode == SHADED && dist < AO_RADIUS) {
+                  /* Contact shadow around the obstacles */
+                  float shadow = 1.0 - dist / AO_RADIUS;
+                  fragColor = vec4(0, 0, 0, 0.4 * shadow * shadow);
+              } else {
+                  discard;
+              }
+          } else if (uDrawMode == NORMALS) {
+              fragColor = vec4(0.5 * obstacleNormal(texel) + 0.5, 0, 1);
+          } else {
+              int material = obstacleMaterial(uObstaclesBuffer, sampleCoords);
+              vec3 color = uMaterialColors[min(material, ___NB_MATERIALS___ - 1)];
+              fragColor = vec4((uDrawMode == SHADED) ? shade(texel, color) : color, 1);
+          }
+      }`;
+
+  /* The distance field is computed with the jump flooding algorithm.
+   * Each texel stores the coordinates of the closest solid texel found so far
+   * in its red and green channels, and those of the closest empty texel
+   * in its blue and alpha channels. */
+  const jumpFloodVertStr =
+      `#version 300 es
+      layout(location=0) in vec2 aCorner; //in {0,1}x{0,1}
+
+      void main(void) {
+          gl_Position = vec4(2.0*aCorner - 1.0, 0.0, 1.0);
+      }`;
+
+  const seedFragStr =
+      `#version 300 es
+      precision mediump float;
+
+      uniform sampler2D uMask;
+
+      out uvec4 seeds;
+
+      const uint NONE = 65535u;
+
+      void main(void) {
+          ivec2 p = ivec2(gl_FragCoord.xy);
+          bool solid = texelFetch(uMask, p, 0).r > 0.5;
+          seeds = solid ? uvec4(p, NONE, NONE) : uvec4(NONE, NONE, p);
+      }`;
+
+  const jumpFragStr =
+      `#version 300 es
+      precision highp float;
+
+      uniform highp usampler2D uSeeds;
+      uniform int uStep;
+
+      out uvec4 seeds;
+
+      const uint NONE = 65535u;
+
+      uvec2 closest(uvec2 current, uvec2 candidate, vec2 p) {
+          if (candidate.x == NONE)
+              return current;
+          if (current.x == NONE)
+              return candidate;
+          return (distance(vec2(candidate), p) < distance(vec2(current), p)) ? candidate : current;
+      }
+
+      void main(void) {
+          ivec2 size = textureSize(uSeeds, 0);
+          ivec2 p = ivec2(gl_FragCoord.xy);
+
+          uvec4 best = texelFetch(uSeeds, p, 0);
+          for (int dy = -1; dy <= 1; ++dy) {
+              for (int dx = -1; dx <= 1; ++dx) {
+                  ivec2 q = p + uStep * ivec2(dx, dy);
+                  if (any(lessThan(q, ivec2(0))) || any(greaterThanEqual(q, size)))
+                      continue;
+
+                  uvec4 candidate = texelFetch(uSeeds, q, 0);
+                  best.xy = closest(best.xy, candidate.xy, vec2(p));
+                  best.zw = closest(best.zw, candidate.zw, vec2(p));
+              }
+          }
+          seeds = best;
+      }`;
+
+  const distanceFragStr =
+      `#version 300 es
+      precision highp float;
+
+      uniform sampler2D uMask;
+      uniform sampler2D uVelocityMask;
+      uniform highp usampler2D uSeeds;
+
+      layout(location=0) out vec4 fragColor;
+      layout(location=1) out vec4 fragVelocity;
+
+      const uint NONE = 65535u;
+      const float RANGE = ___DISTANCE_RANGE___;
+
+      ___ENCODE_VELOCITY___
+
+      void main(void) {
+          ivec2 p = ivec2(gl_FragCoord.xy);
+          vec4 mask = texelFetch(uMask, p, 0);
+          uvec4 seeds = texelFetch(uSeeds, p, 0);
+          bool solid = mask.r > 0.5;
+
+          /* Closest texel on the other side of the edge, which lies
+           * half a texel before it */
+          uvec2 seed = solid ? seeds.zw : seeds.xy;
+          float dist = RANGE;
+          vec2 normal = vec2(0, 1);
+          if (seed.x != NONE) {
+              vec2 toSeed = vec2(seed) - vec2(p);
+              dist = min(length(toSeed) - 0.5, RANGE);
+              normal = normalize(solid ? toSeed : -toSeed);
+          }
+
+          /* Empty texels take the material and the velocity of the closest obstacle */
+          float material = mask.g;
+          fragVelocity = texelFetch(uVelocityMask, p, 0);
+          if (!solid) {
+              if (seeds.x != NONE) {
+                  material = texelFetch(uMask, ivec2(seeds.xy), 0).g;
+                  fragVelocity = texelFetch(uVelocityMask, ivec2(seeds.xy), 0);
+              } else {
+                  fragVelocity = encodeVelocity(vec2(0));
+              }
+          }
+
+          dist = solid ? -dist : dist;
+          fragColor = vec4(0.5 + 0.5 * dist / RANGE, 0.5 * normal + 0.5, material);
+      }`;
+
+  const decodeObstacleRawStr =
+      `const float OBSTACLE_RANGE = ___DISTANCE_RANGE___;
+      const float OBSTACLE_MAX_SPEED = ___MAX_SURFACE_SPEED___;
+      const float OBSTACLE_NO_VELOCITY = 127.0 / 255.0;
+
+      /* Signed distance to the closest edge, in pixels, negative inside obstacles */
+      float obstacleDistance(vec4 texel)
+      {
+          return (2.0 * texel.r - 1.0) * OBSTACLE_RANGE;
+      }
+
+      /* Unit normal of the closest edge, pointing outwards */
+      vec2 obstacleNormal(vec4 texel)
+      {
+          vec2 normal = 2.0 * texel.gb - 1.0;
+          return normal / max(length(normal), 0.001);
+      }
+
+      /* Materials are not interpolated, so they are read from the nearest texel */
+      int obstacleMaterial(sampler2D obstacles, vec2 coords)
+      {
+          ivec2 size = textureSize(obstacles, 0);
+          ivec2 texel = clamp(ivec2(coords * vec2(size)), ivec2(0), size - 1);
+          return int(texelFetch(obstacles, texel, 0).a * 255.0 + 0.5);
+      }
+
+      /* Velocity of the surface of the closest obstacle, in pixels per second,
+       * from a texel of ObstacleMap.velocityTexture */
+      vec2 obstacleVelocity(vec4 texel)
+      {
+          return (texel.rg - OBSTACLE_NO_VELOCITY) * (255.0 / 127.0) * OBSTACLE_MAX_SPEED;
       }`;
 
+  function withConstants(str) {
+    return str.replace(/___ENCODE_VELOCITY___/g, encodeVelocityRawStr)
+      .replace(/___DISTANCE_RANGE___/g, ObstacleMap.DISTANCE_RANGE.toFixed(1))
+      .replace(/___MAX_SURFACE_SPEED___/g, ObstacleMap.MAX_SURFACE_SPEED.toFixed(1));
+  }
+
   /* Public static methods */
   let visible = {
+    /**
+     * GLSL functions for reading the distance field of ObstacleMap.texture:
+     * float obstacleDistance(vec4 texel), vec2 obstacleNormal(vec4 texel)
+     * and int obstacleMaterial(sampler2D obstacles, vec2 coords),
+     * and vec2 obstacleVelocity(vec4 texel) for ObstacleMap.velocityTexture.
+     */
+    get decodeObstacleStr() {
+      return withConstants(decodeObstacleRawStr);
+    },
+
     getAddStaticShader: function(gl) {
       return Shader.fromString(gl, addStaticVertStr, addStaticFragStr);
     },
     
-    getAddMobileShader: function(gl) {
-      return Shader.fromString(gl, addMobileVertStr, addMobileFragStr);
+    getAddSinkShader: function(gl) {
+      return Shader.fromString(gl, addStaticVertStr, addSinkFragStr);
+    },
+    
+    getAddShapeShader: function(gl, maxVertices) {
+      const fragStr = addShapeFragStr.replace(/___MAX_VERTICES___/g, maxVertices);
+      return Shader.fromString(gl, addShapeVertStr, fragStr);
     },
     
-    getDrawShader: function(gl) {
-      return Shader.fromString(gl, drawVertStr, drawFragStr);
+    getPreviewShader: function(gl) {
+      return Shader.fromString(gl, previewVertStr, previewFragStr);
+    },
+    
+    getEraseShader: function(gl) {
+      return Shader.fromString(gl, addStaticVertStr, eraseFragStr);
+    },
+    
+    getAddMobileShader: function(gl, maxMobiles) {
+      const fragStr = withConstants(addMobileFragStr).replace(/___MAX_MOBILES___/g, maxMobiles);
+      return Shader.fromString(gl, addMobileVertStr, fragStr);
+    },
+    
+    getAddKinematicShader: function(gl) {
+      const fragStr = withConstants(addKinematicFragStr).replace(/___MAX_BLADES___/g,
+        KinematicObstacle.MAX_BLADES);
+      return Shader.fromString(gl, addKinematicVertStr, fragStr);
+    },
+    
+    getSeedShader: function(gl) {
+      return Shader.fromString(gl, jumpFloodVertStr, seedFragStr);
+    },
+    
+    getJumpShader: function(gl) {
+      return Shader.fromString(gl, jumpFloodVertStr, jumpFragStr);
+    },
+    
+    getDistanceShader: function(gl) {
+      return Shader.fromString(gl, jumpFloodVertStr, withConstants(distanceFragStr));
+    },
+    
+    getDrawShader: function(gl, nbMaterials) {
+      let fragStr = drawFragStr.replace(/___DECODE_OBSTACLE___/g, visible.decodeObstacleStr);
+      fragStr = fragStr.replace(/___NB_MATERIALS___/g, nbMaterials);
+      return Shader.fromString(gl, drawVertStr, fragStr);
     }
   };
   
@@ -130,12 +636,24 @@ const ObstacleMapShaders = (function () {
 
 /**
  * Class for handling obstacles.
- * Obstacles are stored in the red and green channels of a texture.
- * Each pixel stores the normal of the local obstacle.
- * Normals can be retrieved by computing 2*texel.rg - 1.
- * If this value is close to 0 then there is no obstacle on this pixel.
+ * Obstacles are painted into a mask texture: the red channel is 1 on
+ * solid pixels, and the green channel stores the index of the obstacle's
+ * material, divided by 255.
+ * The map is made of three parts: static obstacles, mobile obstacles
+ * following the pointers, and kinematic obstacles following their motion.
+ * Alongside the mask, a second texture stores the velocity of the solid
+ * pixels, which is transferred to the particles bouncing on them.
+ *
+ * The mask is then turned into a signed distance field on GPU, which
+ * provides smooth normals and the penetration depth into obstacles.
+ * See ObstacleMapShaders.decodeObstacleStr for its encoding.
+ *
+ * Sinks are stored separately in the red channel of another texture.
+ * Particles entering a sink are removed from the simulation.
  *
- * The map is made of two parts: static obstacles, and a mobile obstacle.
+ * Edits of the static obstacles and sinks can be undone: beginEdit saves
+ * a copy of both textures, within a memory budget. Kinematic obstacles
+ * are not part of the history.
  */
 class ObstacleMap {
   /**
@@ -148,6 +666,16 @@ class ObstacleMap {
     
     this._staticTexture = ObstacleMap.initTexture(gl, width, height);
     this._texture = ObstacleMap.initTexture(gl, width, height);
+    this._velocityMaskTexture = ObstacleMap.initTexture(gl, width, height);
+    this._sinksTexture = ObstacleMap.initSinksTexture(gl, width, height);
+    
+    /* Without float render targets, the distance field is less precise */
+    this._floatDistance = gl.getExtension("EXT_color_buffer_float") !== null;
+    this._seedsTextures = [ObstacleMap.initSeedsTexture(gl, width, height),
+                           ObstacleMap.initSeedsTexture(gl, width, height)];
+    this._distanceTexture = ObstacleMap.initDistanceTexture(gl, width, height, this._floatDistance);
+    this._velocityTexture = ObstacleMap.initVelocityTexture(gl, width, height);
+    this._dirty = true;
          
     this._cornersVBO = VBO.createQuad(gl, 0, 0, 1, 1);
     this._cornersVAO = gl.createVertexArray();
@@ -157,17 +685,59 @@ class ObstacleMap {
     gl.vertexAttribPointer(0, this._cornersVBO.size, this._cornersVBO.type, false, 0, 0);
     gl.bindVertexArray(null);
 
-    this._drawShader = ObstacleMapShaders.getDrawShader(gl);
-    this._drawShader.u["uObstaclesBuffer"].value = this._texture;
+    this._drawShader = ObstacleMapShaders.getDrawShader(gl, ObstacleMap.MATERIALS.length);
+    this._drawShader.u["uMaterialColors[0]"].value =
+      [].concat.apply([], ObstacleMap.MATERIALS.map((material) => material.color));
+    this._drawShader.u["uObstaclesBuffer"].value = this._distanceTexture;
+    this._drawShader.u["uSinksBuffer"].value = this._sinksTexture;
+    this._rockTexture = null;
+    this.setRockTexture(gl, null);
         
-    this._addMobileShader = ObstacleMapShaders.getAddMobileShader(gl);
+    this._addMobileShader = ObstacleMapShaders.getAddMobileShader(gl,
+      ObstacleMap.MAX_MOBILE_OBSTACLES);
     this._addMobileShader.u["uStaticTexture"].value = this._staticTexture;
     
     this._addStaticShader = ObstacleMapShaders.getAddStaticShader(gl);
+    this._addSinkShader = ObstacleMapShaders.getAddSinkShader(gl);
+    this._eraseShader = ObstacleMapShaders.getEraseShader(gl);
+    this._addShapeShader = ObstacleMapShaders.getAddShapeShader(gl,
+      ObstacleMap.MAX_POLYGON_VERTICES);
+    this._addKinematicShader = ObstacleMapShaders.getAddKinematicShader(gl);
+    
+    this._seedShader = ObstacleMapShaders.getSeedShader(gl);
+    this._jumpShader = ObstacleMapShaders.getJumpShader(gl);
+    this._distanceShader = ObstacleMapShaders.getDistanceShader(gl);
         
     this._FBO = FBO.create(gl, width, height);
+    
+    /* Mobile obstacles by pointer id, see setMobileObstacle */
+    this._mobiles = new Map();
+    
+    this._kinematicObstacles = [];
+    this._time = 0;
+    
+    /* Saved states, most recent last */
+    this._undoStack = [];
+    this._redoStack = [];
+    this._historyBudget = 32 * 1024 * 1024;
+
+    /* Outline of the shape being drawn, in [0,1]x[0,1] */
+    this.shapePreview = null;
+    this._previewShader = ObstacleMapShaders.getPreviewShader(gl);
+    this._previewVBO = gl.createBuffer();
+    this._previewVAO = gl.createVertexArray();
+    gl.bindVertexArray(this._previewVAO);
+    gl.enableVertexAttribArray(0);  //pos attribute loc
+    gl.bindBuffer(gl.ARRAY_BUFFER, this._previewVBO);
+    gl.vertexAttribPointer(0, 2, gl.FLOAT, false, 0, 0);
+    gl.bindVertexArray(null);
+    gl.bindBuffer(gl.ARRAY_BUFFER, null);
 
-    this.displayNormals = false;
+    this.drawMode = ObstacleMap.DRAW_SHADED;
+    this.textured = true;
+    this.lightDirection = [-0.4, 0.6, 0.7];
+    this.squareBrush = false;
+    this.material = 0;
     
     this.brushSize = [100 / width, 100 / height];
     this.addStaticObstacle(gl, 0.5, 0.8);
@@ -184,99 +754,887 @@ class ObstacleMap {
    *                 normalized with the map's size.
   */
   set brushSize(value) {
+    this._brushSize = value;
     this._addStaticShader.u["uBrushSize"].value = value;
+    this._addSinkShader.u["uBrushSize"].value = value;
     this._addMobileShader.u["uBrushSize"].value = value;
+    this._eraseShader.u["uBrushSize"].value = value;
   }
 
   /**
-   * @param {boolean} value
+   * @param {boolean} value if true, static obstacles and sinks are painted
+   *                  with a square brush instead of a disc.
   */
-  set displayNormals(value) {
-    this._drawShader.u["uDisplayNormals"].value = value;
+  set squareBrush(value) {
+    this._addStaticShader.u["uSquareBrush"].value = value;
+    this._addSinkShader.u["uSquareBrush"].value = value;
+    this._eraseShader.u["uSquareBrush"].value = value;
   }
-  
-  get texture() {
-    return this._texture;
+
+  /**
+   * @param {number} value index in ObstacleMap.MATERIALS of the material
+   *                 of the static obstacles to come.
+  */
+  set material(value) {
+    this._material = value;
+    this._addStaticShader.u["uMaterial"].value = value;
+    this._addShapeShader.u["uMaterial"].value = value;
+  }
+
+  get material() {
+    return this._material;
   }
 
   /**
-   * 
-   * @param {WebGLRenderingContext} gl
+   * Maximum number of vertices of the polygons, see addStaticPolygon.
    */
-  reset(gl) {
-    this._staticTexture = ObstacleMap.initTexture(gl, this._FBO.width, this._FBO.height);
-    this._addMobileShader.u["uStaticTexture"].value = this._staticTexture;
-    
-    this._texture = ObstacleMap.initTexture(gl, this._FBO.width, this._FBO.height);
-    this._drawShader.u["uObstaclesBuffer"].value = this.texture;
+  static get MAX_POLYGON_VERTICES() {
+    return 32;
+  }
+
+  static get SEGMENT() {
+    return 0;
+  }
+
+  static get RECTANGLE() {
+    return 1;
+  }
+
+  static get POLYGON() {
+    return 2;
   }
 
   /**
-   * @param {WebGLRenderingContext} gl
-   * @param {number} mousePosX in [0,1]
-   * @param {number} mousePosY in [0,1]
+   * Distances to obstacles are clamped to this value, in pixels.
    */
-  setMobileObstacle(gl, mousePosX, mousePosY) {    
-    this._addMobileShader.u["uMousePos"].value = [mousePosX, mousePosY];
-    
-    this._FBO.bind(gl, this._texture, null);
-    
-    gl.useProgram(this._addMobileShader);
-    this._addMobileShader.bindUniforms(gl);
-    gl.bindVertexArray(this._cornersVAO);
-    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
-    gl.bindVertexArray(null);
-    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
-    gl.bindTexture(gl.TEXTURE_2D, null);
+  static get DISTANCE_RANGE() {
+    return 64;
   }
 
   /**
-   * @param {WebGLRenderingContext} gl
-   * @param {number} mousePosX in [0,1]
-   * @param {number} mousePosY in [0,1]
+   * Surface velocities are clamped to this value, in pixels per second.
    */
-  addStaticObstacle(gl, mousePosX, mousePosY) {    
-    this._addStaticShader.u["uMousePos"].value = [mousePosX, mousePosY];
-    
-    this._FBO.bind(gl, this._staticTexture, null);
-    
-    gl.useProgram(this._addStaticShader);    
-    this._addStaticShader.bindUniforms(gl);
-    gl.bindVertexArray(this._cornersVAO);
-    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
-    gl.bindVertexArray(null);
-    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
-    gl.bindTexture(gl.TEXTURE_2D, null);
-    
-    this.setMobileObstacle(gl, mousePosX, mousePosY);
+  static get MAX_SURFACE_SPEED() {
+    return 1024;
   }
-  
-  draw(gl) {
-    gl.useProgram(this._drawShader);    
-    this._drawShader.bindUniforms(gl);
-    gl.bindVertexArray(this._cornersVAO);
-    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
-    gl.bindVertexArray(null);
+
+  static get MAX_KINEMATIC_OBSTACLES() {
+    return 8;
   }
 
-  /**
-   * Initializes a texture with 0 velocity.
+  static get MAX_MOBILE_OBSTACLES() {
+    return 10;
+  }
+
+  /**
+   * @param {WebGLRenderingContext} gl
+   * @param {number} budget maximum memory used by the undo history, in bytes.
+   *                 The oldest states are forgotten first.
+   */
+  setHistoryBudget(gl, budget) {
+    this._historyBudget = budget;
+    this._trimHistory(gl);
+  }
+
+  get canUndo() {
+    return this._undoStack.length > 0;
+  }
+
+  get canRedo() {
+    return this._redoStack.length > 0;
+  }
+
+  /**
+   * List of the available materials.
+   * Restitution is the part of the normal velocity kept after a bounce,
+   * friction the part of the tangential velocity lost, and maxSpeed the
+   * maximum speed after a bounce, relative to the particles' max speed.
+   */
+  static get MATERIALS() {
+    return [
+      {name: "rock",   restitution: 1.0,  friction: 0.0,  maxSpeed: 0.1,  color: [0.6, 0.6, 0.6]},
+      {name: "rubber", restitution: 0.9,  friction: 0.02, maxSpeed: 0.6,  color: [0.75, 0.2, 0.2]},
+      {name: "moss",   restitution: 0.05, friction: 0.9,  maxSpeed: 0.05, color: [0.3, 0.55, 0.2]},
+      {name: "ice",    restitution: 0.2,  friction: 0.0,  maxSpeed: 1.0,  color: [0.7, 0.85, 0.95]},
+      {name: "sponge", restitution: 0.0,  friction: 0.95, maxSpeed: 0.02, color: [0.85, 0.75, 0.3]},
+    ];
+  }
+
+  static get DRAW_FLAT() {
+    return 0;
+  }
+
+  static get DRAW_SHADED() {
+    return 1;
+  }
+
+  /**
+   * Displays the normals of the edges, for debugging.
+   */
+  static get DRAW_NORMALS() {
+    return 2;
+  }
+
+  /**
+   * @param {number} value ObstacleMap.DRAW_FLAT, DRAW_SHADED or DRAW_NORMALS
+  */
+  set drawMode(value) {
+    this._drawMode = value;
+    this._drawShader.u["uDrawMode"].value = value;
+  }
+
+  /**
+   * @param {boolean} value if true, the rock texture modulates the colors
+   *                  of the materials when shaded.
+  */
+  set textured(value) {
+    this._drawShader.u["uTextured"].value = value;
+  }
+
+  /**
+   * @param {object} value [x,y,z] direction towards the light when shaded,
+   *                 z pointing towards the viewer.
+  */
+  set lightDirection(value) {
+    const length = Math.hypot(value[0], value[1], value[2]);
+    this._drawShader.u["uLightDirection"].value = value.map((x) => x / length);
+  }
+
+  /**
+   * @param {WebGLRenderingContext} gl
+   * @param {CanvasImageSource} image tiling texture, displayed at its size.
+   *                            If null, a generated rock texture is used.
+   */
+  setRockTexture(gl, image) {
+    if (this._rockTexture !== null) {
+      gl.deleteTexture(this._rockTexture);
+    }
+
+    let texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    if (image === null) {
+      const size = 256;
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA8, size, size, 0,
+      gl.RGBA, gl.UNSIGNED_BYTE, ObstacleMap._rockTexels(size));
+    } else {
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA8, gl.RGBA, gl.UNSIGNED_BYTE, image);
+    }
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR_MIPMAP_LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.REPEAT);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.REPEAT);
+    gl.generateMipmap(gl.TEXTURE_2D);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+
+    this._rockTexture = texture;
+    this._drawShader.u["uRockTexture"].value = texture;
+  }
+
+  /**
+   * Grey tiling value noise of several octaves, averaging 0.5.
+   * @param {number} size of the square texture, a power of 2
+   * @returns {Uint8Array} RGBA texels
+   */
+  static _rockTexels(size) {
+    const random = Utils.seededRandom(1);
+    let values = new Float32Array(size * size);
+    let totalWeight = 0;
+    for (let period = 4, weight = 1; period <= 64; period *= 2, weight *= 0.55) {
+      let lattice = [];
+      for (let i = 0; i < period * period; ++i) {
+        lattice.push(random());
+      }
+      const at = (i, j) => lattice[(j % period) * period + (i % period)];
+      
+      const cell = size / period;
+      for (let y = 0; y < size; ++y) {
+        for (let x = 0; x < size; ++x) {
+          const i = Math.floor(x / cell);
+          const j = Math.floor(y / cell);
+          const smooth = (t) => t * t * (3 - 2 * t);
+          const u = smooth(x / cell - i);
+          const v = smooth(y / cell - j);
+          const bottom = at(i, j) + u * (at(i + 1, j) - at(i, j));
+          const top = at(i, j + 1) + u * (at(i + 1, j + 1) - at(i, j + 1));
+          values[y * size + x] += weight * (bottom + v * (top - bottom));
+        }
+      }
+      totalWeight += weight;
+    }
+    
+    let texels = new Uint8Array(4 * size * size);
+    for (let i = 0; i < size * size; ++i) {
+      const grey = Math.round(255 * values[i] / totalWeight);
+      texels.set([grey, grey, grey, 255], 4 * i);
+    }
+    return texels;
+  }
+  
+  /**
+   * Signed distance field of the obstacles, see update.
+   */
+  get texture() {
+    return this._distanceTexture;
+  }
+  
+  /**
+   * Velocity of the closest obstacle's surface,
+   * see ObstacleMapShaders.decodeObstacleStr.
+   */
+  get velocityTexture() {
+    return this._velocityTexture;
+  }
+  
+  get sinksTexture() {
+    return this._sinksTexture;
+  }
+
+  get kinematicObstacles() {
+    return this._kinematicObstacles;
+  }
+
+  /**
+   * @param {KinematicObstacle} obstacle
+   * @returns {boolean} false if there already are too many kinematic obstacles
+   */
+  addKinematicObstacle(obstacle) {
+    if (this._kinematicObstacles.length >= ObstacleMap.MAX_KINEMATIC_OBSTACLES) {
+      return false;
+    }
+
+    this._kinematicObstacles.push(obstacle);
+    return true;
+  }
+
+  removeKinematicObstacle(obstacle) {
+    this._kinematicObstacles = this._kinematicObstacles.filter((o) => o !== obstacle);
+    this._dirty = true;
+  }
+
+  clearKinematicObstacles() {
+    this._kinematicObstacles = [];
+    this._dirty = true;
+  }
+
+  /**
+   * 
+   * @param {WebGLRenderingContext} gl
+   */
+  reset(gl) {
+    [this._staticTexture, this._texture, this._sinksTexture].forEach((texture) => {
+      gl.deleteTexture(texture);
+    });
+    
+    this._staticTexture = ObstacleMap.initTexture(gl, this._FBO.width, this._FBO.height);
+    this._addMobileShader.u["uStaticTexture"].value = this._staticTexture;
+    
+    this._texture = ObstacleMap.initTexture(gl, this._FBO.width, this._FBO.height);
+    this._dirty = true;
+    
+    this._sinksTexture = ObstacleMap.initSinksTexture(gl, this._FBO.width, this._FBO.height);
+    this._drawShader.u["uSinksBuffer"].value = this._sinksTexture;
+  }
+
+  /**
+   * Saves the static obstacles and sinks, so that the edit to come can be
+   * undone. It forgets the undone edits.
+   * @param {WebGLRenderingContext} gl
+   */
+  beginEdit(gl) {
+    const size = {width: this._FBO.width, height: this._FBO.height};
+    let state = {
+      staticTexture: ObstacleMap.initTexture(gl, size.width, size.height),
+      sinksTexture: ObstacleMap.initSinksTexture(gl, size.width, size.height)
+    };
+    FBO.blit(gl, this._staticTexture, size, state.staticTexture, size, gl.NEAREST);
+    FBO.blit(gl, this._sinksTexture, size, state.sinksTexture, size, gl.NEAREST);
+    
+    this._undoStack.push(state);
+    this._redoStack.forEach((state) => { ObstacleMap._deleteState(gl, state); });
+    this._redoStack = [];
+    this._trimHistory(gl);
+  }
+
+  /**
+   * @param {WebGLRenderingContext} gl
+   * @returns {boolean} false if there is nothing to undo
+   */
+  undo(gl) {
+    return this._restore(gl, this._undoStack, this._redoStack);
+  }
+
+  /**
+   * @param {WebGLRenderingContext} gl
+   * @returns {boolean} false if there is nothing to redo
+   */
+  redo(gl) {
+    return this._restore(gl, this._redoStack, this._undoStack);
+  }
+
+  /**
+   * Makes the last state of from the current one, and saves the current
+   * one into to. Textures are swapped rather than copied.
+   */
+  _restore(gl, from, to) {
+    if (from.length === 0) {
+      return false;
+    }
+    
+    to.push({staticTexture: this._staticTexture, sinksTexture: this._sinksTexture});
+    const state = from.pop();
+    
+    this._staticTexture = state.staticTexture;
+    this._addMobileShader.u["uStaticTexture"].value = this._staticTexture;
+    this._sinksTexture = state.sinksTexture;
+    this._drawShader.u["uSinksBuffer"].value = this._sinksTexture;
+    
+    this._dirty = true;
+    return true;
+  }
+
+  /**
+   * Forgets the oldest states until the history fits in its budget.
+   */
+  _trimHistory(gl) {
+    const stateBytes = 5 * this._FBO.width * this._FBO.height; //RGBA8 + R8
+    const fits = () => (this._undoStack.length + this._redoStack.length) * stateBytes <= this._historyBudget;
+    while (!fits() && this._undoStack.length > 0) {
+      ObstacleMap._deleteState(gl, this._undoStack.shift());
+    }
+    while (!fits() && this._redoStack.length > 0) {
+      ObstacleMap._deleteState(gl, this._redoStack.shift());
+    }
+  }
+
+  static _deleteState(gl, state) {
+    gl.deleteTexture(state.staticTexture);
+    gl.deleteTexture(state.sinksTexture);
+  }
+
+  /**
+   * Resamples the obstacles and the sinks to a new size.
+   * @param {WebGLRenderingContext} gl
+   * @param {number} width
+   * @param {number} height
+   */
+  resize(gl, width, height) {
+    const oldSize = {width: this._FBO.width, height: this._FBO.height};
+    const newSize = {width: width, height: height};
+
+    /* Materials are indices, so they must not be interpolated */
+    const resample = (texture, initTexture) => {
+      const resized = initTexture(gl, width, height);
+      FBO.blit(gl, texture, oldSize, resized, newSize, gl.NEAREST);
+      gl.deleteTexture(texture);
+      return resized;
+    };
+
+    this._staticTexture = resample(this._staticTexture, ObstacleMap.initTexture);
+    this._addMobileShader.u["uStaticTexture"].value = this._staticTexture;
+
+    /* The composed mask and the distance field are recomputed rather than resampled */
+    [this._texture, this._velocityMaskTexture, this._distanceTexture, this._velocityTexture]
+      .concat(this._seedsTextures).forEach((texture) => { gl.deleteTexture(texture); });
+    this._texture = ObstacleMap.initTexture(gl, width, height);
+    this._velocityMaskTexture = ObstacleMap.initTexture(gl, width, height);
+    this._seedsTextures = [ObstacleMap.initSeedsTexture(gl, width, height),
+                           ObstacleMap.initSeedsTexture(gl, width, height)];
+    this._distanceTexture = ObstacleMap.initDistanceTexture(gl, width, height, this._floatDistance);
+    this._drawShader.u["uObstaclesBuffer"].value = this._distanceTexture;
+    this._velocityTexture = ObstacleMap.initVelocityTexture(gl, width, height);
+    this._dirty = true;
+
+    this._sinksTexture = resample(this._sinksTexture, ObstacleMap.initSinksTexture);
+    this._drawShader.u["uSinksBuffer"].value = this._sinksTexture;
+
+    const resampleState = (state) => {
+      return {
+        staticTexture: resample(state.staticTexture, ObstacleMap.initTexture),
+        sinksTexture: resample(state.sinksTexture, ObstacleMap.initSinksTexture)
+      };
+    };
+    this._undoStack = this._undoStack.map(resampleState);
+    this._redoStack = this._redoStack.map(resampleState);
+
+    gl.deleteFramebuffer(this._FBO);
+    this._FBO = FBO.create(gl, width, height);
+    this._trimHistory(gl);
+  }
+
+  /**
+   * Moves the mobile obstacle of a pointer, creating it if needed.
+   * @param {WebGLRenderingContext} gl
+   * @param {number} mousePosX in [0,1]
+   * @param {number} mousePosY in [0,1]
+   * @param {number} id of the pointer
+   * @returns {boolean} false if there already are too many mobile obstacles
+   */
+  setMobileObstacle(gl, mousePosX, mousePosY, id = 0) {
+    let mobile = this._mobiles.get(id);
+    if (typeof mobile === typeof undefined) {
+      if (this._mobiles.size >= ObstacleMap.MAX_MOBILE_OBSTACLES) {
+        return false;
+      }
+      
+      mobile = {position: [mousePosX, mousePosY], previousPosition: null, velocity: [0, 0]};
+      this._mobiles.set(id, mobile);
+    }
+    
+    mobile.position = [mousePosX, mousePosY];
+    this._dirty = true;
+    return true;
+  }
+
+  /**
+   * @param {WebGLRenderingContext} gl
+   * @param {number} id of the pointer
+   */
+  removeMobileObstacle(gl, id = 0) {
+    if (this._mobiles.delete(id)) {
+      this._dirty = true;
+    }
+  }
+
+  /**
+   * Moves the kinematic obstacles, then composes the obstacles and
+   * recomputes the distance field if they changed since the last call.
+   * It is done at most once per frame, however many strokes were painted.
+   * @param {WebGLRenderingContext} gl
+   * @param {number} dt simulated time since the last call, in seconds
+   */
+  update(gl, dt = 0) {
+    this._time += dt;
+    if (dt > 0) {
+      this._mobiles.forEach((mobile) => { this._updateMobileVelocity(mobile, dt); });
+    }
+    
+    if (!this._dirty && this._kinematicObstacles.length === 0) {
+      return;
+    }
+    
+    gl.bindVertexArray(this._cornersVAO);
+    this._compose(gl);
+    this._computeDistance(gl);
+    gl.bindVertexArray(null);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    this._dirty = false;
+  }
+
+  /**
+   * The velocity of a mobile obstacle is the one of its pointer,
+   * unless it just appeared, entered or left the map.
+   */
+  _updateMobileVelocity(mobile, dt) {
+    const size = [this._FBO.width, this._FBO.height];
+    const onMap = (pos) => pos !== null && pos.every((x) => x >= 0 && x <= 1);
+    
+    let velocity = [0, 0];
+    if (onMap(mobile.position) && onMap(mobile.previousPosition)) {
+      velocity = [0, 1].map((i) => (mobile.position[i] - mobile.previousPosition[i]) * size[i] / dt);
+    }
+    
+    if (velocity[0] !== mobile.velocity[0] || velocity[1] !== mobile.velocity[1]) {
+      this._dirty = true;
+    }
+    mobile.velocity = velocity;
+    mobile.previousPosition = mobile.position;
+  }
+
+  /**
+   * Draws the static, mobile and kinematic obstacles into the mask,
+   * and their velocities into the velocity mask.
+   */
+  _compose(gl) {
+    const width = this._FBO.width;
+    const height = this._FBO.height;
+    this._FBO.bind(gl, [this._texture, this._velocityMaskTexture], null);
+    
+    let positions = new Float32Array(2 * ObstacleMap.MAX_MOBILE_OBSTACLES);
+    let velocities = new Float32Array(2 * ObstacleMap.MAX_MOBILE_OBSTACLES);
+    let nbMobiles = 0;
+    this._mobiles.forEach((mobile) => {
+      positions.set(mobile.position, 2 * nbMobiles);
+      velocities.set(mobile.velocity, 2 * nbMobiles);
+      ++nbMobiles;
+    });
+    this._addMobileShader.u["uMobilePos[0]"].value = positions;
+    this._addMobileShader.u["uMobileVelocity[0]"].value = velocities;
+    this._addMobileShader.u["uNbMobiles"].value = nbMobiles;
+    gl.useProgram(this._addMobileShader);
+    this._addMobileShader.bindUniforms(gl);
+    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    
+    const shader = this._addKinematicShader;
+    gl.useProgram(shader);
+    for (let obstacle of this._kinematicObstacles) {
+      const state = obstacle.stateAt(this._time);
+      shader.u["uCenter"].value = [state.position[0] * width, state.position[1] * height];
+      shader.u["uAngle"].value = state.angle;
+      shader.u["uExtent"].value = obstacle.boundingRadius;
+      shader.u["uMapSize"].value = [width, height];
+      shader.u["uShape"].value = obstacle.shape;
+      shader.u["uSize"].value = obstacle.size;
+      shader.u["uNbBlades"].value = Math.min(obstacle.nbBlades, KinematicObstacle.MAX_BLADES);
+      shader.u["uMaterial"].value = obstacle.material;
+      shader.u["uLinearVelocity"].value = [state.linearVelocity[0] * width,
+                                           state.linearVelocity[1] * height];
+      shader.u["uAngularVelocity"].value = state.angularVelocity;
+      shader.bindUniforms(gl);
+      gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    }
+  }
+
+  /**
+   * Turns the mask into the distance field, and spreads the velocities of
+   * the solid pixels to the empty pixels around them.
+   */
+  _computeDistance(gl) {
+    this._seedShader.u["uMask"].value = this._texture;
+    this._FBO.bind(gl, this._seedsTextures[0], null);
+    gl.useProgram(this._seedShader);
+    this._seedShader.bindUniforms(gl);
+    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    
+    /* Halving steps, with an additional step of 1 to fix most errors */
+    let steps = [];
+    for (let step = ObstacleMap.DISTANCE_RANGE; step >= 1; step /= 2) {
+      steps.push(step);
+    }
+    steps.push(1);
+    
+    let current = 0;
+    gl.useProgram(this._jumpShader);
+    for (let step of steps) {
+      this._jumpShader.u["uSeeds"].value = this._seedsTextures[current];
+      this._jumpShader.u["uStep"].value = step;
+      this._FBO.bind(gl, this._seedsTextures[1 - current], null);
+      this._jumpShader.bindUniforms(gl);
+      gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+      current = 1 - current;
+    }
+    
+    this._distanceShader.u["uMask"].value = this._texture;
+    this._distanceShader.u["uVelocityMask"].value = this._velocityMaskTexture;
+    this._distanceShader.u["uSeeds"].value = this._seedsTextures[current];
+    this._FBO.bind(gl, [this._distanceTexture, this._velocityTexture], null);
+    gl.useProgram(this._distanceShader);
+    this._distanceShader.bindUniforms(gl);
+    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+  }
+
+  /**
+   * @param {WebGLRenderingContext} gl
+   * @param {number} mousePosX in [0,1]
+   * @param {number} mousePosY in [0,1]
+   */
+  addStaticObstacle(gl, mousePosX, mousePosY) {    
+    this._addStaticShader.u["uMousePos"].value = [mousePosX, mousePosY];
+    
+    this._FBO.bind(gl, this._staticTexture, null);
+    
+    gl.useProgram(this._addStaticShader);    
+    this._addStaticShader.bindUniforms(gl);
+    gl.bindVertexArray(this._cornersVAO);
+    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    gl.bindVertexArray(null);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    
+    this._dirty = true;
+  }
+
+  /**
+   * @param {WebGLRenderingContext} gl
+   * @param {number} mousePosX in [0,1]
+   * @param {number} mousePosY in [0,1]
+   */
+  addSink(gl, mousePosX, mousePosY) {
+    this._addSinkShader.u["uMousePos"].value = [mousePosX, mousePosY];
+    
+    this._FBO.bind(gl, this._sinksTexture, null);
+    
+    gl.useProgram(this._addSinkShader);
+    this._addSinkShader.bindUniforms(gl);
+    gl.bindVertexArray(this._cornersVAO);
+    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    gl.bindVertexArray(null);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+  }
+  
+  /**
+   * Adds a static obstacle along a segment, as thick as the brush.
+   * Consecutive segments make a continuous stroke.
+   * @param {WebGLRenderingContext} gl
+   * @param {object} from array [x,y] in [0,1]x[0,1]
+   * @param {object} to array [x,y] in [0,1]x[0,1]
+   */
+  addStaticSegment(gl, from, to) {
+    const radius = 0.5 * this._brushSize[0] * this._FBO.width;
+    this._addStaticShape(gl, ObstacleMap.SEGMENT, [from, to], radius);
+  }
+
+  /**
+   * Adds an axis-aligned rectangular static obstacle.
+   * @param {WebGLRenderingContext} gl
+   * @param {object} corner array [x,y] in [0,1]x[0,1]
+   * @param {object} oppositeCorner array [x,y] in [0,1]x[0,1]
+   */
+  addStaticRectangle(gl, corner, oppositeCorner) {
+    this._addStaticShape(gl, ObstacleMap.RECTANGLE, [corner, oppositeCorner], 0);
+  }
+
+  /**
+   * Adds a static obstacle filling a closed polygon, which may be concave.
+   * @param {WebGLRenderingContext} gl
+   * @param {object} vertices array of [x,y] in [0,1]x[0,1]
+   * @returns {boolean} false if the polygon has less than 3 or
+   *          more than ObstacleMap.MAX_POLYGON_VERTICES vertices
+   */
+  addStaticPolygon(gl, vertices) {
+    if (vertices.length < 3 || vertices.length > ObstacleMap.MAX_POLYGON_VERTICES) {
+      return false;
+    }
+
+    this._addStaticShape(gl, ObstacleMap.POLYGON, vertices, 0);
+    return true;
+  }
+
+  /**
+   * @param {WebGLRenderingContext} gl
+   * @param {number} type ObstacleMap.SEGMENT, RECTANGLE or POLYGON
+   * @param {object} vertices array of [x,y] in [0,1]x[0,1]
+   * @param {number} margin in pixels, around the vertices
+   */
+  _addStaticShape(gl, type, vertices, margin) {
+    const width = this._FBO.width;
+    const height = this._FBO.height;
+    const pixels = vertices.map(([x, y]) => [x * width, y * height]);
+    
+    let uVertices = new Float32Array(2 * ObstacleMap.MAX_POLYGON_VERTICES);
+    pixels.forEach((vertex, i) => { uVertices.set(vertex, 2 * i); });
+    
+    const xs = vertices.map((vertex) => vertex[0]);
+    const ys = vertices.map((vertex) => vertex[1]);
+    const shader = this._addShapeShader;
+    shader.u["uBoxMin"].value = [Math.min.apply(null, xs) - margin / width,
+                                 Math.min.apply(null, ys) - margin / height];
+    shader.u["uBoxMax"].value = [Math.max.apply(null, xs) + margin / width,
+                                 Math.max.apply(null, ys) + margin / height];
+    shader.u["uMapSize"].value = [width, height];
+    shader.u["uShapeType"].value = type;
+    shader.u["uVertices[0]"].value = uVertices;
+    shader.u["uNbVertices"].value = vertices.length;
+    shader.u["uRadius"].value = margin;
+    
+    this._FBO.bind(gl, this._staticTexture, null);
+    
+    gl.useProgram(shader);
+    shader.bindUniforms(gl);
+    gl.bindVertexArray(this._cornersVAO);
+    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    gl.bindVertexArray(null);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    
+    this._dirty = true;
+  }
+
+  /**
+   * Replaces the static obstacles with the ones of an image, made of the
+   * current material. The image is resampled if its size differs from the map's.
+   * @param {WebGLRenderingContext} gl
+   * @param {ObstacleImage} image
+   */
+  setStaticObstacles(gl, image) {
+    const width = image.width;
+    const height = image.height;
+    let texelData = new Uint8Array(4 * width * height);
+    for (let y = 0; y < height; ++y) {
+      for (let x = 0; x < width; ++x) {
+        if (image.isSolid(x, y)) {
+          texelData.set([255, this._material, 0, 255], 4 * (y * width + x));
+        }
+      }
+    }
+    
+    let texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA8, width, height, 0,
+    gl.RGBA, gl.UNSIGNED_BYTE, texelData);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    
+    FBO.blit(gl, texture, {width: width, height: height}, this._staticTexture,
+      {width: this._FBO.width, height: this._FBO.height}, gl.NEAREST);
+    gl.deleteTexture(texture);
+    
+    this._dirty = true;
+  }
+
+  /**
+   * Removes the static obstacles under the brush.
+   * @param {WebGLRenderingContext} gl
+   * @param {number} mousePosX in [0,1]
+   * @param {number} mousePosY in [0,1]
+   */
+  eraseStaticObstacle(gl, mousePosX, mousePosY) {
+    this._erase(gl, this._staticTexture, mousePosX, mousePosY);
+    this._dirty = true;
+  }
+
+  /**
+   * Removes the sinks under the brush.
+   * @param {WebGLRenderingContext} gl
+   * @param {number} mousePosX in [0,1]
+   * @param {number} mousePosY in [0,1]
+   */
+  eraseSink(gl, mousePosX, mousePosY) {
+    this._erase(gl, this._sinksTexture, mousePosX, mousePosY);
+  }
+
+  _erase(gl, texture, mousePosX, mousePosY) {
+    this._eraseShader.u["uMousePos"].value = [mousePosX, mousePosY];
+    
+    this._FBO.bind(gl, texture, null);
+    
+    gl.useProgram(this._eraseShader);
+    this._eraseShader.bindUniforms(gl);
+    gl.bindVertexArray(this._cornersVAO);
+    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    gl.bindVertexArray(null);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+  }
+  
+  draw(gl) {
+    /* The contact shadows are blended */
+    if (this._drawMode === ObstacleMap.DRAW_SHADED) {
+      gl.enable(gl.BLEND);
+      gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+    }
+    
+    gl.useProgram(this._drawShader);    
+    this._drawShader.bindUniforms(gl);
+    gl.bindVertexArray(this._cornersVAO);
+    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    gl.bindVertexArray(null);
+    gl.disable(gl.BLEND);
+    
+    if (this.shapePreview !== null) {
+      this._drawPreview(gl);
+    }
+  }
+
+  /**
+   * Displays the outline of the shape being drawn.
+   * shapePreview is {vertices, closed}.
+   */
+  _drawPreview(gl) {
+    const vertices = this.shapePreview.vertices;
+    gl.bindBuffer(gl.ARRAY_BUFFER, this._previewVBO);
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([].concat.apply([], vertices)), gl.STREAM_DRAW);
+    gl.bindBuffer(gl.ARRAY_BUFFER, null);
+    
+    gl.useProgram(this._previewShader);
+    this._previewShader.bindUniforms(gl);
+    gl.bindVertexArray(this._previewVAO);
+    gl.drawArrays(this.shapePreview.closed ? gl.LINE_LOOP : gl.LINE_STRIP, 0, vertices.length);
+    gl.bindVertexArray(null);
+  }
+
+  /**
+   * Initializes a mask texture with no obstacle.
    * @param {WebGLRenderingContext} gl
    * @param {number} width
    * @param {number} height
    * @returns {WebGLTexture}
    */
   static initTexture(gl, width, height) {
-    let texelData = [];
-    let value = [127, 127];
-    for (let i = 0 ; i < width * height ; ++i) {
-      texelData.push.apply(texelData, value);
+    let texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA8, width, height, 0,
+    gl.RGBA, gl.UNSIGNED_BYTE, null);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    return texture;
+  }
+
+  /**
+   * Initializes a texture for the jump flooding, storing texel coordinates.
+   * @param {WebGLRenderingContext} gl
+   * @param {number} width
+   * @param {number} height
+   * @returns {WebGLTexture}
+   */
+  static initSeedsTexture(gl, width, height) {
+    let texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA16UI, width, height, 0,
+    gl.RGBA_INTEGER, gl.UNSIGNED_SHORT, null);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    return texture;
+  }
+
+  /**
+   * Initializes a texture for the distance field, computed by update.
+   * @param {WebGLRenderingContext} gl
+   * @param {number} width
+   * @param {number} height
+   * @param {boolean} halfFloat whether RGBA16F can be rendered to
+   * @returns {WebGLTexture}
+   */
+  static initDistanceTexture(gl, width, height, halfFloat) {
+    let texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    if (halfFloat) {
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA16F, width, height, 0,
+      gl.RGBA, gl.HALF_FLOAT, null);
+    } else {
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA8, width, height, 0,
+      gl.RGBA, gl.UNSIGNED_BYTE, null);
     }
-    
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    return texture;
+  }
+
+  /**
+   * Initializes a texture for the surface velocities, computed by update.
+   * @param {WebGLRenderingContext} gl
+   * @param {number} width
+   * @param {number} height
+   * @returns {WebGLTexture}
+   */
+  static initVelocityTexture(gl, width, height) {
+    let texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA8, width, height, 0,
+    gl.RGBA, gl.UNSIGNED_BYTE, null);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    return texture;
+  }
+
+  /**
+   * Initializes a texture with no sink.
+   * @param {WebGLRenderingContext} gl
+   * @param {number} width
+   * @param {number} height
+   * @returns {WebGLTexture}
+   */
+  static initSinksTexture(gl, width, height) {
     let texture = gl.createTexture();
     gl.bindTexture(gl.TEXTURE_2D, texture);
-    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RG8, width, height, 0,
-    gl.RG, gl.UNSIGNED_BYTE, new Uint8Array(texelData));
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.R8, width, height, 0,
+    gl.RED, gl.UNSIGNED_BYTE, null);
     gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
     gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
     gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
@@ -12,41 +12,155 @@ const vec2 WORLD_SIZE = ___WORLD_SIZE___;
       
 const float POS_BANDWIDTH = ___POS_BANDWIDTH___;//max(WORLD_SIZE.x,WORLD_SIZE.y) + 64.0;
 const float SPEED_BANDWIDTH = 2.0 * MAX_SPEED;
-       
-vec2 decodeObstacle(vec4 texel)
+
+// Packed ages are stored on 24 bits, species on the 8 remaining ones
+const float AGE_RESOLUTION = 8192.0; //steps per second
+const float MAX_AGE = 16777215.0 / AGE_RESOLUTION;
+
+// Particles below the world are dead, waiting to be recycled by an emitter
+const float DEAD_Y = -WORLD_SIZE.y;
+bool isDead(vec2 pos)
 {
-    return 2.0 * texel.rg - 1.0;
+    return pos.y < -0.5 * WORLD_SIZE.y;
 }
-      
-float random(vec2 co)
+`;
+
+  /* Particles are stored either as 32 bits floats, or packed into uints:
+   * positions and velocities are quantized on 16 bits over their bandwidth,
+   * and the age shares a uint with the species. */
+  const floatLoadStr =
+`layout(location=0) in vec2 aPos;
+layout(location=1) in vec2 aVel;
+layout(location=2) in float aAge;
+layout(location=3) in float aSpecies;
+
+void loadParticle(out vec2 pos, out vec2 vel, out float age, out float species)
 {
-  return fract(sin(dot(co.xy ,vec2(12.9898,78.233))) * 43758.5453);
-}`;
+    pos = aPos;
+    vel = aVel;
+    age = aAge;
+    species = aSpecies;
+}
+`;
+
+  /* Current and previous positions of the particles */
+  const floatPositionsStr =
+`layout(location=0) in vec2 aPos;
+layout(location=1) in vec2 aPrevPos;
+
+void loadPositions(out vec2 pos, out vec2 prevPos)
+{
+    pos = aPos;
+    prevPos = aPrevPos;
+}
+`;
+
+  const packedPositionsStr =
+`layout(location=0) in uint aPos;
+layout(location=1) in uint aPrevPos;
+
+void loadPositions(out vec2 pos, out vec2 prevPos)
+{
+    pos = (unpackUnorm2x16(aPos) - 0.5) * POS_BANDWIDTH;
+    prevPos = (unpackUnorm2x16(aPrevPos) - 0.5) * POS_BANDWIDTH;
+}
+`;
+
+  const floatStoreStr =
+`out vec2 aNextPos;
+out vec2 aNextVel;
+out float aNextAge;
+out float aNextSpecies;
+
+void storeParticle(vec2 pos, vec2 vel, float age, float species)
+{
+    aNextPos = pos;
+    aNextVel = vel;
+    aNextAge = age;
+    aNextSpecies = species;
+}
+`;
+
+  const packedLoadStr =
+`layout(location=0) in uint aPos;
+layout(location=1) in uint aVel;
+layout(location=2) in uint aAgeSpecies;
+
+void loadParticle(out vec2 pos, out vec2 vel, out float age, out float species)
+{
+    pos = (unpackUnorm2x16(aPos) - 0.5) * POS_BANDWIDTH;
+    vel = (unpackUnorm2x16(aVel) - 0.5) * SPEED_BANDWIDTH;
+    age = float(aAgeSpecies & 0xFFFFFFu) / AGE_RESOLUTION;
+    species = float(aAgeSpecies >> 24);
+}
+`;
+
+  const packedStoreStr =
+`flat out uint aNextPos;
+flat out uint aNextVel;
+flat out uint aNextAgeSpecies;
+
+void storeParticle(vec2 pos, vec2 vel, float age, float species)
+{
+    aNextPos = packUnorm2x16(pos / POS_BANDWIDTH + 0.5);
+    aNextVel = packUnorm2x16(vel / SPEED_BANDWIDTH + 0.5);
+    aNextAgeSpecies = (uint(species + 0.5) << 24) |
+                      uint(min(age, MAX_AGE) * AGE_RESOLUTION + 0.5);
+}
+`;
     
   const drawVertRawStr =
 `#version 300 es
 uniform float uPointSize;
 
-layout(location=0) in vec2 aPos;
-layout(location=1) in vec2 aVel;
+#define MAX_SPECIES ___MAX_SPECIES___
+uniform vec3 uSpeciesSlowColor[MAX_SPECIES];
+uniform vec3 uSpeciesFastColor[MAX_SPECIES];
+uniform vec2 uSpecies[MAX_SPECIES]; //gravity scale, max speed scale
+
+uniform float uAgeScale; //in seconds, age at which particles are considered old
+uniform bool uAgeColoring;
+uniform bool uAgeFading;
+uniform bool uAgeShrinking;
 
 flat out vec4 color;
+flat out vec4 speciesMask;
       
 ___ENCODING_COMMON___
+
+___LOAD_PARTICLE___
       
 void main(void)
 {
-    vec2 pos = aPos;
-    vec2 vel = aVel;
+    vec2 pos, vel;
+    float age, speciesId;
+    loadParticle(pos, vel, age, speciesId);
+
+    int species = int(speciesId + 0.5);
+    speciesMask = vec4(equal(ivec4(0, 1, 2, 3), ivec4(species)));
 
-    const vec4 slowColor = vec4(0.75,1,1,1);
-    const vec4 fastColor = vec4(0, 0.2, 0.8, 1);
-    float relativeSpeed = length(vel) / MAX_SPEED;
+    vec4 slowColor = vec4(uSpeciesSlowColor[species], 1);
+    vec4 fastColor = vec4(uSpeciesFastColor[species], 1);
+    float relativeSpeed = length(vel) / (uSpecies[species].y * MAX_SPEED);
     float t = smoothstep(0.0, 1.0, relativeSpeed);
     color = mix(slowColor, fastColor, t);
+
+    float relativeAge = clamp(age / uAgeScale, 0.0, 1.0);
+    if (uAgeColoring) {
+        const vec4 oldColor = vec4(0.95, 0.95, 1, 1);
+        color = mix(color, oldColor, relativeAge);
+    }
+    if (uAgeFading) {
+        // In fluid mode, visibility comes from the species mask
+        color *= 1.0 - relativeAge;
+        speciesMask *= 1.0 - relativeAge;
+    }
           
     gl_Position = vec4(2.0 * pos / WORLD_SIZE, 0.9*relativeSpeed, 1.0);
     gl_PointSize = uPointSize;
+    if (uAgeShrinking) {
+        gl_PointSize *= 1.0 - 0.75 * relativeAge;
+    }
 }`;
 
   const drawFragStr =
@@ -54,8 +168,10 @@ void main(void)
 precision mediump float;
 
 flat in vec4 color;
+flat in vec4 speciesMask;
       
-out vec4 fragColor;
+layout(location=0) out vec4 fragColor;
+layout(location=1) out vec4 fragSpecies;
 
 void main(void) {
   vec2 toCenter = 2.0 * (vec2(0.5) - gl_PointCoord.xy);
@@ -64,72 +180,358 @@ void main(void) {
     discard;
         
   fragColor = color;
+  fragSpecies = speciesMask;
 }`;
 
   const updateVertRawStr =
 `#version 300 es
       
 uniform sampler2D uObstaclesBuffer;
+uniform sampler2D uObstaclesVelocity;
+uniform sampler2D uSinksBuffer;
+uniform vec3 uMaterials[___NB_MATERIALS___]; //restitution, friction, max speed
+uniform int uCollisionSteps; //number of samples along the displacement
+
+uniform sampler2D uForceField;
+uniform float uForceStrength;
     
 uniform float uDt; //in seconds
 uniform vec2 uAcceleration;
 
-layout(location=0) in vec2 aPos;
-layout(location=1) in vec2 aVel;
+uniform int uSeed;
+uniform int uFrame;
+
+uniform float uLifetime; //in seconds, 0 for infinite
+
+#define HAND_NONE 0
+#define HAND_PUSH 1
+#define HAND_ATTRACT 2
+#define HAND_REPEL 3
+uniform int uHandMode;
+uniform vec2 uHandPos; //in pixels
+uniform vec2 uHandVel; //in pixels per second
+uniform float uHandRadius; //in pixels
+
+#define MAX_SPECIES ___MAX_SPECIES___
+uniform vec2 uSpecies[MAX_SPECIES]; //gravity scale, max speed scale
+
+uniform bool uPressure;
+uniform sampler2D uDensityGrid;
+uniform float uRestDensity; //particles per cell
+uniform float uStiffness;
+uniform float uViscosity;
+
+#define MAX_EMITTERS ___MAX_EMITTERS___
+#define EMITTER_POINT 0
+#define EMITTER_LINE 1
+#define EMITTER_AREA 2
+uniform int uNbParticles;
+uniform int uEmittersCount;
+uniform vec4 uEmitterShape[MAX_EMITTERS]; //center and half-size, in pixels
+uniform vec4 uEmitterFlow[MAX_EMITTERS]; //direction, spread, speed, type
+uniform int uEmitterSpecies[MAX_EMITTERS];
+uniform ivec2 uEmitterWindow[MAX_EMITTERS]; //first particle index, nb of particles
 
-out vec2 aNextPos;
-out vec2 aNextVel;
-      
 ___ENCODING_COMMON___
-      
-void main(void)
+
+___LOAD_PARTICLE___
+
+___STORE_PARTICLE___
+
+___DECODE_FORCE___
+
+___DECODE_OBSTACLE___
+
+___HASH___
+
+/* Returns a number in [0,1), which only depends on the seed, the frame,
+ * the particle and co. */
+float random(vec2 co)
 {
-    vec2 pos = aPos;
-    vec2 vel = aVel;
-    vec2 acc = uAcceleration;
+    uint h = hash(uint(uSeed) ^ hash(uint(uFrame)));
+    h = hash(h ^ uint(gl_VertexID));
+    h = hash(h ^ floatBitsToUint(co.x));
+    h = hash(h ^ floatBitsToUint(co.y));
+    return float(h >> 8) / 16777216.0;
+}
 
-    vec2 nextVel = vel + uDt * acc;
-    if (pos.y < -0.5 * WORLD_SIZE.y) {
-        nextVel.x = 0.1 * MAX_SPEED * (2.0*random(100.0*pos) - 1.0);
-        nextVel.y = random(pos + vel);
+/* Returns a number in [0,1), constant for a given particle and seed. */
+float particleRandom()
+{
+    return float(hash(hash(uint(uSeed)) ^ uint(gl_VertexID)) >> 8) / 16777216.0;
+}
+
+float pressureAt(vec2 gridCoords)
+{
+    return max(0.0, texture(uDensityGrid, gridCoords).r - uRestDensity);
+}
+
+/* Applies the material of the obstacle at the given coords to the velocity,
+ * if the particle is moving into it. The bounce happens in the frame of the
+ * obstacle's surface, so moving obstacles carry the particles along. */
+vec2 bounce(vec2 vel, vec2 obstacleCoords)
+{
+    vec4 obstacle = texture(uObstaclesBuffer, obstacleCoords);
+    vec2 normal = obstacleNormal(obstacle);
+    vec2 surfaceVel = obstacleVelocity(texture(uObstaclesVelocity, obstacleCoords));
+    vec2 relativeVel = vel - surfaceVel;
+    if (obstacleDistance(obstacle) < 0.0 && dot(relativeVel, normal) < 0.0) {
+        int materialIndex = obstacleMaterial(uObstaclesBuffer, obstacleCoords);
+        vec3 material = uMaterials[min(materialIndex, ___NB_MATERIALS___ - 1)];
+
+        vec2 normalVel = dot(relativeVel, normal) * normal;
+        vec2 tangentVel = relativeVel - normalVel;
+        relativeVel = (1.0 - material.y) * tangentVel - material.x * normalVel;
+        relativeVel *= min(1.0, material.z*MAX_SPEED/length(relativeVel));
+        vel = surfaceVel + relativeVel;
     }
+    return vel;
+}
+
+/* Marches along the displacement and returns the part of it that can be
+ * travelled before meeting an obstacle, with the coords of the obstacle. */
+float sweep(vec2 pos, vec2 displacement, out vec2 hitCoords)
+{
+    float free = 0.0;
+    for (int i = 1; i <= uCollisionSteps; ++i) {
+        float t = float(i) / float(uCollisionSteps);
+        vec2 coords = (pos + t * displacement) / WORLD_SIZE + 0.5;
+        vec4 obstacle = texture(uObstaclesBuffer, coords);
+        vec2 surfaceDisplacement = uDt * obstacleVelocity(texture(uObstaclesVelocity, coords));
+        if (obstacleDistance(obstacle) < 0.0 &&
+            dot(displacement - surfaceDisplacement, obstacleNormal(obstacle)) < 0.0) {
+            hitCoords = coords;
+            return free;
+        }
+        free = t;
+    }
+    hitCoords = vec2(0);
+    return 1.0;
+}
+
+/* Returns false if no emitter recycles the particle this frame. */
+bool emit(vec2 seed, out vec2 pos, out vec2 vel, out float species)
+{
+    for (int i = 0; i < MAX_EMITTERS; ++i) {
+        if (i >= uEmittersCount)
+            break;
+
+        int rank = gl_VertexID - uEmitterWindow[i].x;
+        if (rank < 0)
+            rank += uNbParticles;
+        if (rank >= uEmitterWindow[i].y)
+            continue;
+
+        vec4 shape = uEmitterShape[i];
+        vec4 flow = uEmitterFlow[i];
+        int type = int(flow.w);
+        float r1 = 2.0 * random(seed) - 1.0;
+        float r2 = 2.0 * random(seed + 0.5) - 1.0;
+
+        pos = shape.xy;
+        if (type == EMITTER_LINE)
+            pos += r1 * shape.zw;
+        else if (type == EMITTER_AREA)
+            pos += vec2(r1, r2) * shape.zw;
+
+        float angle = flow.x + 0.5 * flow.y * (2.0 * random(seed.yx) - 1.0);
+        float speed = flow.z * (1.0 - 0.2 * random(seed.yx + 0.5));
+        vel = speed * vec2(cos(angle), sin(angle));
+        species = float(uEmitterSpecies[i]);
+        return true;
+    }
+
+    return false;
+}
       
-    vec2 obstacleNormal = decodeObstacle(texture(uObstaclesBuffer, pos / WORLD_SIZE + 0.5));
-    if (dot(obstacleNormal, obstacleNormal) > 0.1) {
-        if (dot(nextVel, obstacleNormal) < 0.0) {
-            nextVel = reflect(nextVel, normalize(obstacleNormal));
-            nextVel *= min(1.0, 0.1*MAX_SPEED/length(nextVel));
+void updateParticle(inout vec2 pos, inout vec2 vel, inout float age, inout float species)
+{
+    if (isDead(pos)) {
+        vec2 emittedPos, emittedVel;
+        float emittedSpecies;
+        if (emit(pos, emittedPos, emittedVel, emittedSpecies)) {
+            pos = emittedPos;
+            vel = emittedVel;
+            species = emittedSpecies;
+        } else {
+            vel = vec2(0);
         }
+        age = 0.0;
+        return;
+    }
+
+    // Lifetimes are slightly randomized to avoid waves of recycling
+    float lifetime = uLifetime * (0.75 + 0.5 * particleRandom());
+    bool tooOld = uLifetime > 0.0 && age > lifetime;
+    if (tooOld || texture(uSinksBuffer, pos / WORLD_SIZE + 0.5).r > 0.5) {
+        pos = vec2(pos.x, DEAD_Y);
+        vel = vec2(0);
+        age = 0.0;
+        return;
+    }
+
+    vec2 speciesParams = uSpecies[int(species + 0.5)];
+    vec2 acc = speciesParams.x * uAcceleration;
+
+    acc += uForceStrength * decodeForce(texture(uForceField, pos / WORLD_SIZE + 0.5));
+
+    if (uHandMode != HAND_NONE) {
+        vec2 fromHand = pos - uHandPos;
+        float dist = length(fromHand);
+        float weight = max(0.0, 1.0 - dist / uHandRadius);
+        if (uHandMode == HAND_PUSH) {
+            // The particles are dragged along with the pointer
+            const float HAND_GRIP = 10.0; //in 1/seconds
+            acc += HAND_GRIP * weight * (uHandVel - vel);
+        } else {
+            const float HAND_STRENGTH = 1000.0;
+            float direction = (uHandMode == HAND_ATTRACT) ? -1.0 : 1.0;
+            acc += direction * HAND_STRENGTH * weight * fromHand / max(dist, 0.001);
+        }
+    }
+
+    if (uPressure) {
+        vec2 gridCoords = pos / WORLD_SIZE + 0.5;
+        vec2 texelSize = 1.0 / vec2(textureSize(uDensityGrid, 0));
+        vec2 dx = vec2(texelSize.x, 0);
+        vec2 dy = vec2(0, texelSize.y);
+
+        vec2 gradient = vec2(pressureAt(gridCoords + dx) - pressureAt(gridCoords - dx),
+                             pressureAt(gridCoords + dy) - pressureAt(gridCoords - dy));
+        gradient /= 2.0 * texelSize * WORLD_SIZE;
+        acc -= uStiffness * gradient / uRestDensity;
+
+        // Viscosity pulls the velocity towards the mean velocity of the neighbours
+        vec4 cell = texture(uDensityGrid, gridCoords);
+        vec2 meanVel = cell.gb / max(cell.r, 1.0);
+        acc += uViscosity * min(1.0, cell.r / uRestDensity) * (meanVel - vel);
     }
+
+    vec2 nextVel = vel + uDt * acc;
+    nextVel = bounce(nextVel, pos / WORLD_SIZE + 0.5);
       
-    nextVel *= min(1.0, MAX_SPEED / length(nextVel));
+    nextVel *= min(1.0, speciesParams.y * MAX_SPEED / length(nextVel));
+
+    // Fast particles stop at the first obstacle on their way
+    vec2 displacement = uDt * nextVel;
+    vec2 hitCoords;
+    float travelled = sweep(pos, displacement, hitCoords);
+    vec2 nextPos = pos + travelled * displacement;
+    if (travelled < 1.0) {
+        nextVel = bounce(nextVel, hitCoords);
+    }
 
-    vec2 nextPos = pos + uDt * nextVel;
     {
-      // Particles don't stay inside an obstacle
-      vec2 obstacleNormal = decodeObstacle(texture(uObstaclesBuffer, nextPos / WORLD_SIZE + 0.5));
-      nextPos += uDt * obstacleNormal;
+      // Particles inside an obstacle are pushed out of it by their penetration depth
+      vec4 obstacle = texture(uObstaclesBuffer, nextPos / WORLD_SIZE + 0.5);
+      nextPos += max(0.0, -obstacleDistance(obstacle)) * obstacleNormal(obstacle);
 
-      if (pos.y < -0.5 * WORLD_SIZE.y) {
-          nextPos.x = (random(pos + vel) - 0.5) * WORLD_SIZE.x;
-          nextPos.y += WORLD_SIZE.y + 0.5 * random(pos) * (POS_BANDWIDTH - WORLD_SIZE.y);
-      }
       if (nextPos.x < -0.5 * POS_BANDWIDTH)
         nextPos.x += POS_BANDWIDTH;
       else if (nextPos.x > 0.5 * POS_BANDWIDTH)
         nextPos.x -= POS_BANDWIDTH;
     }
 
-    aNextPos = nextPos;
-    aNextVel = nextVel;
+    pos = nextPos;
+    vel = nextVel;
+    age += uDt;
+}
+
+void main(void)
+{
+    vec2 pos, vel;
+    float age, species;
+    loadParticle(pos, vel, age, species);
+    updateParticle(pos, vel, age, species);
+    storeParticle(pos, vel, age, species);
 }`;
 
   const updateFragStr = 
 `#version 300 es
 void main(void) {
+}`;
+
+  const hashStr =
+`uint hash(uint x)
+{
+    x ^= x >> 16;
+    x *= 0x7feb352du;
+    x ^= x >> 15;
+    x *= 0x846ca68bu;
+    x ^= x >> 16;
+    return x;
+}`;
+
+  /* Generates particles from their index only */
+  const seedVertRawStr =
+`#version 300 es
+uniform int uSeed;
+uniform bool uScatter; //otherwise the particles are dead
+
+___ENCODING_COMMON___
+
+___STORE_PARTICLE___
+
+___HASH___
+
+float random(uint n)
+{
+    uint h = hash(hash(uint(uSeed)) ^ uint(gl_VertexID));
+    return float(hash(h ^ n) >> 8) / 16777216.0;
+}
+
+void main(void)
+{
+    vec2 pos = (vec2(random(0u), random(1u)) - 0.5) * WORLD_SIZE;
+    vec2 vel = vec2(0);
+    if (uScatter) {
+        vel = 2.0 * (vec2(random(2u), random(3u)) - 0.5) * MAX_SPEED;
+    } else {
+        pos.y = DEAD_Y;
+    }
+
+    // All the particles are born at the same time, and they are all water
+    storeParticle(pos, vel, 0.0, 0.0);
+}`;
+
+  /* Used when the world is resized. uPosScale and uVelScale include
+   * the change of bandwidth of packed particles. */
+  const remapVertRawStr =
+`#version 300 es
+uniform vec2 uPosScale;
+uniform vec2 uVelScale;
+
+___ENCODING_COMMON___
+
+___LOAD_PARTICLE___
+
+___STORE_PARTICLE___
+
+void main(void)
+{
+    vec2 pos, vel;
+    float age, species;
+    loadParticle(pos, vel, age, species);
+    storeParticle(uPosScale * pos, uVelScale * vel, age, species);
 }`;
      
-  let encodingStr, drawVertStr, updateVertStr;
+  let encodingStr, drawVertStr, updateVertStr, seedVertStr, remapVertStr;
+
+  /* Private static methods */
+  function buildTransformFeedbackShader(gl, vertRawStr, packed) {
+    let vertStr = vertRawStr.replace(/___LOAD_PARTICLE___/g,
+      packed ? packedLoadStr : floatLoadStr);
+    vertStr = vertStr.replace(/___STORE_PARTICLE___/g,
+      packed ? packedStoreStr : floatStoreStr);
+
+    const transformFeedback = {
+      varyings: packed ? ["aNextPos", "aNextVel", "aNextAgeSpecies"] :
+                         ["aNextPos", "aNextVel", "aNextAge", "aNextSpecies"],
+      bufferMode: gl.SEPARATE_ATTRIBS,
+    };
+
+    return Shader.fromString(gl, vertStr, updateFragStr, transformFeedback);
+  }
 
   /* Public static methods */
   let visible = {
@@ -141,21 +543,55 @@ void main(void) {
       encodingStr = encodingStr.replace(/___POS_BANDWIDTH___/g, posBandwidth.toFixed(1));
       
       drawVertStr = drawVertRawStr.replace(/___ENCODING_COMMON___/g, encodingStr);
+      drawVertStr = drawVertStr.replace(/___MAX_SPECIES___/g, Particles.SPECIES.length);
       updateVertStr = updateVertRawStr.replace(/___ENCODING_COMMON___/g, encodingStr);
+      updateVertStr = updateVertStr.replace(/___MAX_EMITTERS___/g, Emitters.MAX);
+      updateVertStr = updateVertStr.replace(/___NB_MATERIALS___/g, ObstacleMap.MATERIALS.length);
+      updateVertStr = updateVertStr.replace(/___DECODE_FORCE___/g, ForceFieldShaders.decodeForceStr);
+      updateVertStr = updateVertStr.replace(/___DECODE_OBSTACLE___/g, ObstacleMapShaders.decodeObstacleStr);
+      updateVertStr = updateVertStr.replace(/___MAX_SPECIES___/g, Particles.SPECIES.length);
+      updateVertStr = updateVertStr.replace(/___HASH___/g, hashStr);
+      seedVertStr = seedVertRawStr.replace(/___ENCODING_COMMON___/g, encodingStr);
+      seedVertStr = seedVertStr.replace(/___HASH___/g, hashStr);
+      remapVertStr = remapVertRawStr.replace(/___ENCODING_COMMON___/g, encodingStr);
     },
     
-    getDrawShader: function(gl) {
-      return Shader.fromString(gl, drawVertStr, drawFragStr);
+    /**
+     * GLSL declarations of the particles attributes, along with the function
+     * void loadParticle(out vec2 pos, out vec2 vel, out float age, out float species).
+     * It includes the encoding constants.
+     * @param {boolean} packed
+     */
+    getLoadParticleStr: function(packed) {
+      return encodingStr + (packed ? packedLoadStr : floatLoadStr);
     },
 
-    getUpdateShader: function (gl) {
-      const transformFeedback = {
-        varyings: ["aNextPos", "aNextVel"],
-        bufferMode: gl.SEPARATE_ATTRIBS,
-      };
+    /**
+     * GLSL declarations of the particles positions, along with the function
+     * void loadPositions(out vec2 pos, out vec2 prevPos), to be used with
+     * Particles.positionsVAO. It includes the encoding constants.
+     * @param {boolean} packed
+     */
+    getLoadPositionsStr: function(packed) {
+      return encodingStr + (packed ? packedPositionsStr : floatPositionsStr);
+    },
 
-      return Shader.fromString(gl, updateVertStr, updateFragStr, transformFeedback);
+    getDrawShader: function(gl, packed) {
+      const vertStr = drawVertStr.replace(/___LOAD_PARTICLE___/g,
+        packed ? packedLoadStr : floatLoadStr);
+      return Shader.fromString(gl, vertStr, drawFragStr);
+    },
 
+    getUpdateShader: function (gl, packed) {
+      return buildTransformFeedbackShader(gl, updateVertStr, packed);
+    },
+
+    getSeedShader: function (gl, packed) {
+      return buildTransformFeedbackShader(gl, seedVertStr, packed);
+    },
+
+    getRemapShader: function (gl, packed) {
+      return buildTransformFeedbackShader(gl, remapVertStr, packed);
     }
   };
   
@@ -173,8 +609,10 @@ class Particles {
    * on certain platforms.
    * @param {WebGLRenderingContext} gl
    * @param {number} nb
+   * @param {object} options optional packed (boolean), to store the particles
+   *                 on 16 bits instead of 32
    */
-  constructor(gl, nb) {
+  constructor(gl, nb, options = {}) {
     const width = gl.drawingBufferWidth;
     const height = gl.drawingBufferHeight;
 
@@ -186,61 +624,432 @@ class Particles {
     this._maxSpeed = 0.5 * Math.min(width, height);
 
     ParticlesShaders.setWorldSize(this._worldSize, this._posBandwidth, this._maxSpeed);
-    this._drawShader = ParticlesShaders.getDrawShader(gl);
-    this._updateShader = ParticlesShaders.getUpdateShader(gl);
+    this._packed = !!options.packed;
+    this._drawShader = null;
+    this._seedShader = null;
+    this._updateShader = null;
+    this._densityGrid = null;
+    this._speciesColors = Particles.SPECIES.map((s) => [s.slowColor, s.fastColor]);
+    this._buildShaders(gl);
+
+    /* By default, the water falls from the top of the screen. */
+    this._emitters = new Emitters(gl, this._worldSize);
+    this.addEmitter(new Emitter({
+      type: Emitter.AREA,
+      position: [0.5, 0.98],
+      size: [1, 0.04],
+      spread: Math.PI,
+      speed: 0.1,
+      rate: Infinity
+    }));
+
+    this._seed = 0;
+    if (DensityGrid.isSupported(gl)) {
+      this._densityGrid = new DensityGrid(gl, this._worldSize,
+        ParticlesShaders.getLoadParticleStr(this._packed));
+      this._updateShader.u["uDensityGrid"].value = this._densityGrid.texture;
+    }
 
+    /* The seeding pass has no input attribute */
+    this._emptyVAO = gl.createVertexArray();
+    this._VBOs = null;
+    this._positionsVAO = null;
+    this._nbParts = 0;
     this.reset(gl, nb);
     
-    this._currIndex = 0;
     this.acceleration = [0, -10000];
     this.pointSize = 2;
     this.speed = 1;
+    this.lifetime = 0;
+    this.ageColoring = false;
+    this.ageFading = false;
+    this.ageShrinking = false;
+    this.displayEmitters = true;
+    this.pressure = false;
+    this.stiffness = 2000;
+    this.viscosity = 4;
+    this.collisionSteps = 4;
+    this.handRadius = 40;
+    this.setHand(Particles.HAND_NONE, 0, 0);
   }
   
+  static get HAND_NONE() {
+    return 0;
+  }
+
+  static get HAND_PUSH() {
+    return 1;
+  }
+
+  static get HAND_ATTRACT() {
+    return 2;
+  }
+
+  static get HAND_REPEL() {
+    return 3;
+  }
+
+  /**
+   * List of the available fluids, 4 at most.
+   * gravityScale scales the acceleration, maxSpeed the particles' max speed,
+   * and threshold the blur threshold used when displayed as a fluid.
+   */
+  static get SPECIES() {
+    return [
+      {name: "water", gravityScale: 1.0, maxSpeed: 1.0, threshold: 1.0,
+       slowColor: [0.75, 1, 1], fastColor: [0, 0.2, 0.8]},
+      {name: "oil",   gravityScale: 0.6, maxSpeed: 0.6, threshold: 1.3,
+       slowColor: [0.95, 0.8, 0.25], fastColor: [0.5, 0.3, 0.05]},
+      {name: "lava",  gravityScale: 1.5, maxSpeed: 0.4, threshold: 1.6,
+       slowColor: [1, 0.85, 0.2], fastColor: [0.85, 0.1, 0]},
+    ];
+  }
+
+  /**
+   * (Re)builds the shaders for the current storage, keeping the
+   * values of the uniforms of the previous ones.
+   * @param {WebGLRenderingContext} gl
+   */
+  _buildShaders(gl) {
+    const drawShader = ParticlesShaders.getDrawShader(gl, this._packed);
+    const updateShader = ParticlesShaders.getUpdateShader(gl, this._packed);
+
+    if (this._seedShader !== null) {
+      gl.deleteProgram(this._seedShader);
+    }
+    this._seedShader = ParticlesShaders.getSeedShader(gl, this._packed);
+
+    const copyUniforms = (from, to) => {
+      if (from !== null) {
+        for (let name in from.u) {
+          if (to.u[name] && typeof from.u[name].value !== typeof undefined) {
+            to.u[name].value = from.u[name].value;
+          }
+        }
+        gl.deleteProgram(from);
+      }
+    };
+    copyUniforms(this._drawShader, drawShader);
+    copyUniforms(this._updateShader, updateShader);
+    this._drawShader = drawShader;
+    this._updateShader = updateShader;
+
+    this._updateShader.u["uMaterials[0]"].value = [].concat.apply([],
+      ObstacleMap.MATERIALS.map((m) => [m.restitution, m.friction, m.maxSpeed]));
+
+    const speciesParams = [].concat.apply([],
+      Particles.SPECIES.map((s) => [s.gravityScale, s.maxSpeed]));
+    this._updateShader.u["uSpecies[0]"].value = speciesParams;
+    this._drawShader.u["uSpecies[0]"].value = speciesParams;
+    this._updateSpeciesColors();
+
+    if (this._densityGrid !== null) {
+      this._densityGrid.setParticleStorage(gl,
+        ParticlesShaders.getLoadParticleStr(this._packed));
+    }
+  }
+
+  /**
+   * Overrides the colors of a species, which default to the ones
+   * of Particles.SPECIES.
+   * @param {number} species index in Particles.SPECIES
+   * @param {object} slowColor [r,g,b] of the particles at rest
+   * @param {object} fastColor [r,g,b] of the particles at their max speed
+   */
+  setSpeciesColors(species, slowColor, fastColor) {
+    this._speciesColors[species] = [slowColor, fastColor];
+    this._updateSpeciesColors();
+  }
+
+  _updateSpeciesColors() {
+    this._drawShader.u["uSpeciesSlowColor[0]"].value =
+      [].concat.apply([], this._speciesColors.map((colors) => colors[0]));
+    this._drawShader.u["uSpeciesFastColor[0]"].value =
+      [].concat.apply([], this._speciesColors.map((colors) => colors[1]));
+  }
+
+  /**
+   * Switches between 32 bits floats and packed 16 bits storages.
+   * The particles are reset.
+   * @param {WebGLRenderingContext} gl
+   * @param {boolean} packed
+   */
+  setPackedStorage(gl, packed) {
+    if (packed !== this._packed) {
+      this._packed = packed;
+      this._buildShaders(gl);
+      this.reset(gl, this.nbParticles);
+    }
+  }
+
+  get packedStorage() {
+    return this._packed;
+  }
+
   /**
-   * Reinitializes the particles with random positions and velocities.
+   * Reinitializes the particles with random positions and velocities,
+   * generated on GPU.
+   * The simulation is deterministic: for a given seed and given obstacles,
+   * emitters and time steps, it is the same after each reset.
    * @param {WebGLRenderingContext} gl
    * @param {number} nb
    */
   reset(gl, nb) {
     this._nbParts = nb;
-    let pos = [], vel = [];
-    for (let i = 0; i < this.nbParticles; ++i) {
-      pos.push((Math.random() - 0.5) * this._worldSize.width);//this._worldSize.x);
-      pos.push((Math.random() - 0.5) * this._worldSize.height);//this._worldSize.y);
-      vel.push(2 * (Math.random() - 0.5) * this._maxSpeed);
-      vel.push(2 * (Math.random() - 0.5) * this._maxSpeed);
+    this._updateShader.u["uNbParticles"].value = nb;
+    this._updateShader.u["uSeed"].value = this._seed;
+    this._frame = 0;
+    this._emitters.restart();
+    this._updateRestDensity();
+
+    this._currIndex = 0;
+    this._reallocate(gl, 0);
+    this._seedParticles(gl, 0, nb, true);
+  }
+
+  /**
+   * Changes the number of particles without disturbing the flow: the first
+   * particles are kept, and the new ones wait to be recycled by an emitter.
+   * @param {WebGLRenderingContext} gl
+   * @param {number} nb
+   */
+  setNbParticles(gl, nb) {
+    const nbKept = Math.min(nb, this.nbParticles);
+    const nbAdded = nb - nbKept;
+
+    this._nbParts = nb;
+    this._updateShader.u["uNbParticles"].value = nb;
+    this._updateRestDensity();
+
+    this._reallocate(gl, nbKept);
+    if (nbAdded > 0) {
+      this._seedParticles(gl, nbKept, nbAdded, false);
     }
+  }
 
-    this._posVBO = [gl.createBuffer(), gl.createBuffer()];
-    this._velVBO = [gl.createBuffer(), gl.createBuffer()];
-    this._posVelVAO = [gl.createVertexArray(), gl.createVertexArray()];
-    this._transformFeedback = [gl.createTransformFeedback(), gl.createTransformFeedback()];
+  /**
+   * Size in bytes and number of components of each attribute of a particle,
+   * in the order of their locations.
+   */
+  get _attributesLayout() {
+    if (this._packed) {
+      return [
+        {bytes: 4, size: 1}, //position
+        {bytes: 4, size: 1}, //velocity
+        {bytes: 4, size: 1}, //age and species
+      ];
+    }
+    return [
+      {bytes: 8, size: 2}, //position
+      {bytes: 8, size: 2}, //velocity
+      {bytes: 4, size: 1}, //age
+      {bytes: 4, size: 1}, //species
+    ];
+  }
+
+  /**
+   * Allocates buffers for nbParticles, copies the nbKept first current
+   * particles into them and frees the previous buffers.
+   * @param {WebGLRenderingContext} gl
+   * @param {number} nbKept
+   */
+  _reallocate(gl, nbKept) {
+    const layout = this._attributesLayout;
 
-    const posLoc = 0, velLoc = 1;
-    for (let i = 0; i < 2; ++i) {//let vao in this._posVelVAO) {
-      gl.bindVertexArray(this._posVelVAO[i]);
+    const VBOs = [[], []];
+    const VAOs = [gl.createVertexArray(), gl.createVertexArray()];
+    const transformFeedbacks = [gl.createTransformFeedback(), gl.createTransformFeedback()];
 
-      gl.bindBuffer(gl.ARRAY_BUFFER, this._posVBO[i]);
-      gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(pos), gl.STREAM_COPY);
-      gl.enableVertexAttribArray(posLoc);
-      gl.vertexAttribPointer(posLoc, 2, gl.FLOAT, false, 0, 0);
+    for (let i = 0; i < 2; ++i) {
+      gl.bindVertexArray(VAOs[i]);
+      gl.bindTransformFeedback(gl.TRANSFORM_FEEDBACK, transformFeedbacks[i]);
 
-      gl.bindBuffer(gl.ARRAY_BUFFER, this._velVBO[i]);
-      gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(vel), gl.STREAM_COPY);
-      gl.enableVertexAttribArray(velLoc);
-      gl.vertexAttribPointer(velLoc, 2, gl.FLOAT, false, 0, 0);
+      layout.forEach((attribute, loc) => {
+        const VBO = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, VBO);
+        gl.bufferData(gl.ARRAY_BUFFER, attribute.bytes * this.nbParticles, gl.STREAM_COPY);
+        gl.enableVertexAttribArray(loc);
+        if (this._packed) {
+          gl.vertexAttribIPointer(loc, attribute.size, gl.UNSIGNED_INT, 0, 0);
+        } else {
+          gl.vertexAttribPointer(loc, attribute.size, gl.FLOAT, false, 0, 0);
+        }
+        gl.bindBufferBase(gl.TRANSFORM_FEEDBACK_BUFFER, loc, VBO);
+        VBOs[i].push(VBO);
+      });
       gl.bindBuffer(gl.ARRAY_BUFFER, null);
-      
-      gl.bindTransformFeedback(gl.TRANSFORM_FEEDBACK, this._transformFeedback[i]);
-      gl.bindBufferBase(gl.TRANSFORM_FEEDBACK_BUFFER, 0, this._posVBO[i]);
-      gl.bindBufferBase(gl.TRANSFORM_FEEDBACK_BUFFER, 1, this._velVBO[i]);
     }
     gl.bindVertexArray(null);
     gl.bindBufferBase(gl.TRANSFORM_FEEDBACK_BUFFER, 0, null);
     gl.bindTransformFeedback(gl.TRANSFORM_FEEDBACK, null);
+
+    if (this._VBOs !== null) {
+      if (nbKept > 0) {
+        const currVBOs = this._VBOs[this.currIndex];
+        layout.forEach((attribute, i) => {
+          gl.bindBuffer(gl.COPY_READ_BUFFER, currVBOs[i]);
+          gl.bindBuffer(gl.COPY_WRITE_BUFFER, VBOs[this.currIndex][i]);
+          gl.copyBufferSubData(gl.COPY_READ_BUFFER, gl.COPY_WRITE_BUFFER,
+            0, 0, attribute.bytes * nbKept);
+        });
+        gl.bindBuffer(gl.COPY_READ_BUFFER, null);
+        gl.bindBuffer(gl.COPY_WRITE_BUFFER, null);
+      }
+
+      for (let i = 0; i < 2; ++i) {
+        this._VBOs[i].forEach((VBO) => { gl.deleteBuffer(VBO); });
+        gl.deleteVertexArray(this._posVelVAO[i]);
+        gl.deleteTransformFeedback(this._transformFeedback[i]);
+      }
+    }
+
+    this._VBOs = VBOs;
+    this._posVelVAO = VAOs;
+    this._transformFeedback = transformFeedbacks;
+    this._buildPositionsVAOs(gl);
+  }
+
+  /**
+   * Each VAO reads the positions of one set of buffers at location 0,
+   * and those of the other set at location 1.
+   * @param {WebGLRenderingContext} gl
+   */
+  _buildPositionsVAOs(gl) {
+    if (this._positionsVAO !== null) {
+      this._positionsVAO.forEach((VAO) => { gl.deleteVertexArray(VAO); });
+    }
+    this._positionsVAO = [gl.createVertexArray(), gl.createVertexArray()];
+    this._previousPositionsValid = false;
+
+    const size = this._attributesLayout[0].size;
+    for (let i = 0; i < 2; ++i) {
+      gl.bindVertexArray(this._positionsVAO[i]);
+      [this._VBOs[i][0], this._VBOs[1 - i][0]].forEach((VBO, loc) => {
+        gl.bindBuffer(gl.ARRAY_BUFFER, VBO);
+        gl.enableVertexAttribArray(loc);
+        if (this._packed) {
+          gl.vertexAttribIPointer(loc, size, gl.UNSIGNED_INT, 0, 0);
+        } else {
+          gl.vertexAttribPointer(loc, size, gl.FLOAT, false, 0, 0);
+        }
+      });
+      gl.bindBuffer(gl.ARRAY_BUFFER, null);
+    }
+    gl.bindVertexArray(null);
+  }
+
+  /**
+   * VAO of the current positions (location 0) and the ones before
+   * the last update (location 1), see loadPositionsStr.
+   * It is null if there are no previous positions, e.g. after a reset.
+   */
+  get positionsVAO() {
+    return this._previousPositionsValid ? this._positionsVAO[this.currIndex] : null;
+  }
+
+  get loadPositionsStr() {
+    return ParticlesShaders.getLoadPositionsStr(this._packed);
+  }
+
+  /**
+   * Generates nb current particles on GPU, from the index first.
+   * @param {WebGLRenderingContext} gl
+   * @param {number} first
+   * @param {number} nb
+   * @param {boolean} scatter if true, the particles are spread over the world,
+   *                  otherwise they are dead until an emitter recycles them.
+   */
+  _seedParticles(gl, first, nb, scatter) {
+    this._seedShader.u["uSeed"].value = this._seed;
+    this._seedShader.u["uScatter"].value = scatter;
+
+    gl.useProgram(this._seedShader);
+    this._seedShader.bindUniforms(gl);
+
+    gl.bindTransformFeedback(gl.TRANSFORM_FEEDBACK, this._transformFeedback[this.currIndex]);
+    gl.bindVertexArray(this._emptyVAO);
+    this._attributesLayout.forEach((attribute, i) => {
+      gl.bindBufferRange(gl.TRANSFORM_FEEDBACK_BUFFER, i, this._VBOs[this.currIndex][i],
+        attribute.bytes * first, attribute.bytes * nb);
+    });
+
+    gl.enable(gl.RASTERIZER_DISCARD);
+
+    gl.beginTransformFeedback(gl.POINTS);
+    gl.drawArrays(gl.POINTS, first, nb);
+    gl.endTransformFeedback();
+
+    gl.disable(gl.RASTERIZER_DISCARD);
+    gl.bindTransformFeedback(gl.TRANSFORM_FEEDBACK, null);
+    gl.bindVertexArray(null);
+    gl.useProgram(null);
   }
   
+  /**
+   * Adapts the simulation to a new world size. The particles are stretched
+   * so that they keep their position relative to the world.
+   * @param {WebGLRenderingContext} gl
+   * @param {number} width in pixels
+   * @param {number} height in pixels
+   */
+  resize(gl, width, height) {
+    const scale = [width / this._worldSize.width, height / this._worldSize.height];
+    const oldPosBandwidth = this._posBandwidth;
+    const oldMaxSpeed = this._maxSpeed;
+
+    /* The emitters share this object */
+    this._worldSize.width = width;
+    this._worldSize.height = height;
+    this._posBandwidth = 1.2 * Math.max(width, height);
+    this._maxSpeed = 0.5 * Math.min(width, height);
+
+    ParticlesShaders.setWorldSize(this._worldSize, this._posBandwidth, this._maxSpeed);
+    this._buildShaders(gl);
+    if (this._densityGrid !== null) {
+      this._densityGrid.resize(gl, this._worldSize);
+      this._updateShader.u["uDensityGrid"].value = this._densityGrid.texture;
+      this._updateRestDensity();
+    }
+
+    /* Packed particles are now decoded with the new bandwidths */
+    let posScale = scale, velScale = scale;
+    if (this._packed) {
+      const posRatio = oldPosBandwidth / this._posBandwidth;
+      const velRatio = oldMaxSpeed / this._maxSpeed;
+      posScale = [posRatio * scale[0], posRatio * scale[1]];
+      velScale = [velRatio * scale[0], velRatio * scale[1]];
+    }
+
+    const remapShader = ParticlesShaders.getRemapShader(gl, this._packed);
+    remapShader.u["uPosScale"].value = posScale;
+    remapShader.u["uVelScale"].value = velScale;
+    this._runTransformFeedback(gl, remapShader);
+    gl.deleteProgram(remapShader);
+    this._previousPositionsValid = false;
+  }
+
+  _updateRestDensity() {
+    if (this._densityGrid !== null) {
+      /* Rough estimate of the density of the fluid at rest, which
+       * covers only part of the screen. */
+      const restDensity = 2 * this.nbParticles / this._densityGrid.nbCells;
+      this._updateShader.u["uRestDensity"].value = Math.max(1, restDensity);
+    }
+  }
+
+  /**
+   * Seed of both the initial state and the random numbers used on GPU.
+   * It is taken into account at the next reset.
+   * @param {number} value integer
+   */
+  set seed(value) {
+    this._seed = value;
+  }
+
+  get seed() {
+    return this._seed;
+  }
+
   set acceleration(vector) {
     this._updateShader.u["uAcceleration"].value = vector;
   }
@@ -248,7 +1057,143 @@ class Particles {
   set pointSize(size) {
     this._drawShader.u["uPointSize"].value = size;
   }
+
+  /**
+   * Particles are recycled once they reach their lifetime, which is
+   * randomized by +/-25% for each particle.
+   * @param {number} value in seconds, 0 meaning that particles never get old
+   */
+  set lifetime(value) {
+    this._updateShader.u["uLifetime"].value = value;
+    this._drawShader.u["uAgeScale"].value = (value > 0) ? value : 10;
+  }
+
+  /**
+   * @param {boolean} value if true, old particles are drawn whiter
+   */
+  set ageColoring(value) {
+    this._drawShader.u["uAgeColoring"].value = value;
+  }
+
+  /**
+   * @param {boolean} value if true, old particles fade out
+   */
+  set ageFading(value) {
+    this._drawShader.u["uAgeFading"].value = value;
+  }
+
+  /**
+   * @param {boolean} value if true, old particles are drawn smaller
+   */
+  set ageShrinking(value) {
+    this._drawShader.u["uAgeShrinking"].value = value;
+  }
+
+  /**
+   * Enables the particle-particle pressure and viscosity forces.
+   * Has no effect if the hardware doesn't support them.
+   * @param {boolean} value
+   */
+  set pressure(value) {
+    this._pressure = value && this.pressureSupported;
+    this._updateShader.u["uPressure"].value = this._pressure;
+  }
+
+  get pressure() {
+    return this._pressure;
+  }
+
+  get pressureSupported() {
+    return this._densityGrid !== null;
+  }
+
+  /**
+   * @param {number} value strength of the pressure force
+   */
+  set stiffness(value) {
+    this._updateShader.u["uStiffness"].value = value;
+  }
+
+  /**
+   * @param {number} value in 1/seconds
+   */
+  set viscosity(value) {
+    this._updateShader.u["uViscosity"].value = value;
+  }
+
+  /**
+   * Number of obstacle lookups along each particle's displacement.
+   * More steps keep fast particles from going through thin obstacles.
+   * @param {number} value integer, at least 1
+   */
+  set collisionSteps(value) {
+    this._updateShader.u["uCollisionSteps"].value = Math.max(1, Math.round(value));
+  }
   
+  /**
+   * Makes the pointer act on the particles around it.
+   * @param {number} mode one of Particles.HAND_NONE, HAND_PUSH, HAND_ATTRACT or HAND_REPEL
+   * @param {number} x in [0,1]
+   * @param {number} y in [0,1]
+   * @param {number} velX in canvas widths per second, used only for HAND_PUSH
+   * @param {number} velY in canvas heights per second
+   */
+  setHand(mode, x, y, velX = 0, velY = 0) {
+    const width = this._worldSize.width;
+    const height = this._worldSize.height;
+    this._updateShader.u["uHandMode"].value = mode;
+    this._updateShader.u["uHandPos"].value = [(x - 0.5) * width, (y - 0.5) * height];
+    this._updateShader.u["uHandVel"].value = [velX * width, velY * height];
+  }
+
+  /**
+   * @param {number} value in pixels
+   */
+  set handRadius(value) {
+    this._updateShader.u["uHandRadius"].value = value;
+  }
+
+  /**
+   * @param {Emitter} emitter
+   * @returns {boolean} false if the maximum number of emitters is reached
+   */
+  addEmitter(emitter) {
+    return this._emitters.add(emitter);
+  }
+
+  /**
+   * @param {Emitter} emitter
+   */
+  removeEmitter(emitter) {
+    this._emitters.remove(emitter);
+  }
+
+  /**
+   * @param {number} x in [0,1]
+   * @param {number} y in [0,1]
+   * @param {number} tolerance in pixels
+   * @returns {Emitter} the emitter under the given position, or null
+   */
+  pickEmitter(x, y, tolerance) {
+    return this._emitters.pick(x, y, tolerance);
+  }
+
+  get emitters() {
+    return this._emitters.list;
+  }
+
+  /**
+   * The selected emitter is highlighted when displayed.
+   * @param {Emitter} emitter or null
+   */
+  set selectedEmitter(emitter) {
+    this._emitters.selected = emitter;
+  }
+
+  get selectedEmitter() {
+    return this._emitters.selected;
+  }
+
   get nbParticles() {
     return this._nbParts;
   }
@@ -265,20 +1210,101 @@ class Particles {
     this._currIndex = this.nextIndex;
   }
 
-  update(gl, obstacleMap, dt) {
+  /**
+   * Reads the current particles back, without stalling the GPU.
+   * Dead particles are below -worldSize.height / 2.
+   * @param {WebGLRenderingContext} gl
+   * @returns {Promise} resolved with {nbParticles, worldSize, positions, velocities},
+   *          positions and velocities being arrays of interleaved x and y,
+   *          in pixels relative to the center of the world.
+   */
+  readback(gl) {
+    const nb = this.nbParticles;
+    const VBOs = this._VBOs[this.currIndex];
+    const state = {
+      nbParticles: nb,
+      worldSize: {width: this._worldSize.width, height: this._worldSize.height}
+    };
+
+    if (!this._packed) {
+      return Promise.all([
+        Utils.readBufferAsync(gl, VBOs[0], new Float32Array(2 * nb)),
+        Utils.readBufferAsync(gl, VBOs[1], new Float32Array(2 * nb))
+      ]).then(([positions, velocities]) => {
+        state.positions = positions;
+        state.velocities = velocities;
+        return state;
+      });
+    }
+
+    const unpack = (packed, bandwidth) => {
+      let unpacked = new Float32Array(2 * packed.length);
+      for (let i = 0; i < packed.length; ++i) {
+        unpacked[2*i] = ((packed[i] & 0xFFFF) / 65535 - 0.5) * bandwidth;
+        unpacked[2*i+1] = ((packed[i] >>> 16) / 65535 - 0.5) * bandwidth;
+      }
+      return unpacked;
+    };
+    const posBandwidth = this._posBandwidth;
+    const speedBandwidth = 2 * this._maxSpeed;
+    return Promise.all([
+      Utils.readBufferAsync(gl, VBOs[0], new Uint32Array(nb)),
+      Utils.readBufferAsync(gl, VBOs[1], new Uint32Array(nb))
+    ]).then(([positions, velocities]) => {
+      state.positions = unpack(positions, posBandwidth);
+      state.velocities = unpack(velocities, speedBandwidth);
+      return state;
+    });
+  }
+
+  /**
+   * @param {WebGLRenderingContext} gl
+   * @param {ObstacleMap} obstacleMap
+   * @param {ForceField} forceField
+   * @param {number} dt in seconds
+   */
+  update(gl, obstacleMap, forceField, dt) {
+    if (this.pressure) {
+      this._densityGrid.compute(gl, this._posVelVAO[this.currIndex], this.nbParticles);
+    }
+
     this._updateShader.u["uObstaclesBuffer"].value = obstacleMap.texture;
+    this._updateShader.u["uObstaclesVelocity"].value = obstacleMap.velocityTexture;
+    this._updateShader.u["uSinksBuffer"].value = obstacleMap.sinksTexture;
+    this._updateShader.u["uForceField"].value = forceField.texture;
+    this._updateShader.u["uForceStrength"].value = forceField.strength;
     this._updateShader.u["uDt"].value = this.speed * dt;
+    this._updateShader.u["uFrame"].value = this._frame++;
+    this._emitters.setUniforms(this._updateShader, this.nbParticles,
+      this._maxSpeed, this.speed * dt);
+
+    this._runTransformFeedback(gl, this._updateShader);
+    this._previousPositionsValid = true;
+    this._emitters.count(gl, this.positionsVAO, this.loadPositionsStr, this.nbParticles);
 
-    gl.useProgram(this._updateShader);
-    this._updateShader.bindUniforms(gl);
+    /* The pointer's velocity fades out when it stops moving */
+    const handVel = this._updateShader.u["uHandVel"].value;
+    this._updateShader.u["uHandVel"].value = handVel.map((v) => v * Math.exp(-10 * dt));
+  }
+
+  /**
+   * Runs the shader on every particle, and makes its outputs the
+   * current particles.
+   * @param {WebGLRenderingContext} gl
+   * @param {WebGLProgram} shader
+   */
+  _runTransformFeedback(gl, shader) {
+    gl.useProgram(shader);
+    shader.bindUniforms(gl);
 
     const srcIndex = this.currIndex;
     const dstIndex = this.nextIndex;
 
     gl.bindTransformFeedback(gl.TRANSFORM_FEEDBACK, this._transformFeedback[dstIndex]);
     gl.bindVertexArray(this._posVelVAO[srcIndex]);
-    gl.bindBufferBase(gl.TRANSFORM_FEEDBACK_BUFFER, 0, this._posVBO[dstIndex]);
-    gl.bindBufferBase(gl.TRANSFORM_FEEDBACK_BUFFER, 1, this._velVBO[dstIndex]);
+    this._VBOs[dstIndex].forEach((VBO, i) => {
+      gl.bindBufferBase(gl.TRANSFORM_FEEDBACK_BUFFER, i, VBO);
+    });
 
     gl.enable(gl.RASTERIZER_DISCARD);
 
@@ -311,4 +1337,14 @@ class Particles {
     gl.bindVertexArray(null);
     gl.useProgram(null);
   }
+
+  /**
+   * Displays the emitters, if displayEmitters is set.
+   * @param {WebGLRenderingContext} gl
+   */
+  drawEmitters(gl) {
+    if (this.displayEmitters) {
+      this._emitters.draw(gl);
+    }
+  }
 }
\ No newline at end of file
@@ -0,0 +1,468 @@
+"use strict";
+
+/**
+ * Module for accessing, configuring and building shaders related
+ * to the Probes class.
+ */
+const ProbesShaders = (function() {
+  /* Private static attributes */
+  const countVertRawStr =
+`#version 300 es
+#define MAX_PROBES ___MAX_PROBES___
+#define PROBE_LINE 0
+#define PROBE_BOX 1
+
+uniform int uProbesCount;
+uniform vec4 uProbes[MAX_PROBES]; //start and end, in [0,1]x[0,1]
+uniform int uProbeTypes[MAX_PROBES];
+uniform int uNbRows;
+
+___LOAD_POSITIONS___
+
+/* Whether the segment [a,b) crosses the segment [c,d] */
+bool crosses(vec2 a, vec2 b, vec2 c, vec2 d)
+{
+    vec2 ab = b - a;
+    vec2 cd = d - c;
+    float det = ab.x * cd.y - ab.y * cd.x;
+    if (abs(det) < 1e-10)
+        return false;
+
+    vec2 ac = c - a;
+    float t = (ac.x * cd.y - ac.y * cd.x) / det;
+    float u = (ac.x * ab.y - ac.y * ab.x) / det;
+    return t >= 0.0 && t < 1.0 && u >= 0.0 && u <= 1.0;
+}
+
+bool isInBox(vec2 p, vec4 box)
+{
+    vec2 low = min(box.xy, box.zw);
+    vec2 high = max(box.xy, box.zw);
+    return all(greaterThanEqual(p, low)) && all(lessThanEqual(p, high));
+}
+
+void main(void)
+{
+    gl_PointSize = 1.0;
+    gl_Position = vec4(2, 2, 0, 1); //clipped
+
+    vec2 pos, prevPos;
+    loadPositions(pos, prevPos);
+    if (gl_InstanceID >= uProbesCount || isDead(pos) || isDead(prevPos))
+        return;
+
+    // Particles wrapping around the world don't cross anything
+    if (abs(pos.x - prevPos.x) > 0.5 * WORLD_SIZE.x)
+        return;
+
+    vec2 p = pos / WORLD_SIZE + 0.5;
+    vec2 prevP = prevPos / WORLD_SIZE + 0.5;
+    vec4 probe = uProbes[gl_InstanceID];
+
+    bool counted;
+    if (uProbeTypes[gl_InstanceID] == PROBE_LINE)
+        counted = crosses(prevP, p, probe.xy, probe.zw);
+    else
+        counted = isInBox(p, probe) && !isInBox(prevP, probe);
+
+    if (counted) {
+        // Counts are spread over several rows so that they stay exact
+        vec2 texel = vec2(gl_InstanceID, gl_VertexID % uNbRows) + 0.5;
+        gl_Position = vec4(2.0 * texel / vec2(MAX_PROBES, uNbRows) - 1.0, 0, 1);
+    }
+}`;
+
+  const countFragStr =
+`#version 300 es
+precision mediump float;
+
+out vec4 fragColor;
+
+void main(void) {
+    fragColor = vec4(1, 0, 0, 0);
+}`;
+
+  const drawVertStr =
+      `#version 300 es
+      layout(location=0) in vec2 aPos; //in [0,1]x[0,1]
+
+      void main(void) {
+          gl_Position = vec4(2.0*aPos - 1.0, 0.0, 1.0);
+      }`;
+
+  const drawFragStr =
+      `#version 300 es
+      precision mediump float;
+
+      uniform vec4 uColor;
+
+      out vec4 fragColor;
+
+      void main(void) {
+          fragColor = uColor;
+      }`;
+
+  /* Public static methods */
+  let visible = {
+    /**
+     * @param {WebGLRenderingContext} gl
+     * @param {string} loadPositionsStr see ParticlesShaders.getLoadPositionsStr
+     */
+    getCountShader: function(gl, loadPositionsStr) {
+      let vertStr = countVertRawStr.replace(/___LOAD_POSITIONS___/g, loadPositionsStr);
+      vertStr = vertStr.replace(/___MAX_PROBES___/g, Probes.MAX);
+      return Shader.fromString(gl, vertStr, countFragStr);
+    },
+
+    getDrawShader: function(gl) {
+      return Shader.fromString(gl, drawVertStr, drawFragStr);
+    }
+  };
+
+  return Object.freeze(visible);
+})();
+
+
+/**
+ * Measurement probe. A line probe counts the particles crossing it,
+ * a box probe the particles entering it.
+ * Positions are normalized with the canvas size, in [0,1]x[0,1].
+ */
+class Probe {
+  /**
+   * @param {number} type Probe.LINE or Probe.BOX
+   * @param {object} start array [x,y], first end of the line or corner of the box
+   * @param {object} end array [x,y], other end of the line or opposite corner
+   */
+  constructor(type, start, end) {
+    this.type = type;
+    this.start = start;
+    this.end = end;
+
+    /* Particles per second, most recent last */
+    this.history = [];
+  }
+
+  static get LINE() {
+    return 0;
+  }
+
+  static get BOX() {
+    return 1;
+  }
+
+  /**
+   * Latest measure, in particles per second.
+   */
+  get rate() {
+    return (this.history.length > 0) ? this.history[this.history.length - 1] : 0;
+  }
+
+  /**
+   * Pushes a new measure into the history.
+   * @param {number} rate in particles per second
+   */
+  record(rate) {
+    this.history.push(rate);
+    if (this.history.length > Probes.HISTORY_LENGTH) {
+      this.history.shift();
+    }
+  }
+}
+
+
+/**
+ * Class for handling the probes, and displaying them.
+ * At each update the crossings are counted on GPU by drawing every particle
+ * once per probe into a small float texture, with additive blending.
+ * The counts are accumulated during Probes.WINDOW seconds of simulation,
+ * then read back asynchronously.
+ * Adding 1 to a float is exact up to Probes.maxExactCount, which is low
+ * for half floats: the counts are spread over enough rows for a single
+ * update to stay below it, and the window ends early before exceeding it.
+ * It requires the EXT_color_buffer_float extension, and uses 32 bits
+ * floats if EXT_float_blend is available.
+ */
+class Probes {
+  /**
+   * @param {WebGLRenderingContext} gl
+   */
+  constructor(gl) {
+    this._list = [];
+    this.preview = null;
+    this._supported = Probes.isSupported(gl);
+    this._fullFloat = gl.getExtension("EXT_float_blend") !== null;
+
+    this._nbRows = Probes.MIN_ROWS;
+    this._texture = Probes.initTexture(gl, Probes.MAX, this._nbRows, this._fullFloat);
+    this._FBO = FBO.create(gl, Probes.MAX, this._nbRows);
+    this._windowTime = 0;
+    this._maxCount = 0; //upper bound of the counts in the texture
+    this._mustClear = true;
+    this._reading = false;
+
+    /* Built for the particles storage in use */
+    this._countShader = null;
+    this._loadPositionsStr = null;
+
+    this._drawShader = ProbesShaders.getDrawShader(gl);
+    this._linesVBO = gl.createBuffer();
+    this._linesVAO = gl.createVertexArray();
+    gl.bindVertexArray(this._linesVAO);
+    gl.enableVertexAttribArray(0);  //pos attribute loc
+    gl.bindBuffer(gl.ARRAY_BUFFER, this._linesVBO);
+    gl.vertexAttribPointer(0, 2, gl.FLOAT, false, 0, 0);
+    gl.bindVertexArray(null);
+    gl.bindBuffer(gl.ARRAY_BUFFER, null);
+  }
+
+  /**
+   * @returns {boolean} whether the hardware can count the crossings.
+   */
+  static isSupported(gl) {
+    return gl.getExtension("EXT_color_buffer_float") !== null;
+  }
+
+  /**
+   * Maximum number of simultaneous probes.
+   */
+  static get MAX() {
+    return 8;
+  }
+
+  /**
+   * Minimum number of texels the counts of each probe are spread over.
+   */
+  static get MIN_ROWS() {
+    return 64;
+  }
+
+  /**
+   * @param {boolean} fullFloat whether the counts are 32 bits floats
+   * @returns {number} highest count that can still be incremented exactly
+   */
+  static maxExactCount(fullFloat) {
+    return fullFloat ? 16777216 : 2048;
+  }
+
+  /**
+   * Duration of a measure, in seconds of simulation.
+   */
+  static get WINDOW() {
+    return 0.5;
+  }
+
+  static get HISTORY_LENGTH() {
+    return 60;
+  }
+
+  /**
+   * Color of each probe, in the order of the list.
+   */
+  static get COLORS() {
+    return [[0.2, 1, 0.2], [1, 0.3, 1], [0.3, 0.9, 1], [1, 0.9, 0.2],
+            [1, 0.5, 0.2], [0.6, 0.6, 1], [1, 1, 1], [0.6, 1, 0.6]];
+  }
+
+  get supported() {
+    return this._supported;
+  }
+
+  get list() {
+    return this._list;
+  }
+
+  /**
+   * @param {Probe} probe
+   * @returns {boolean} false if there already are too many probes
+   */
+  add(probe) {
+    if (this._list.length >= Probes.MAX) {
+      return false;
+    }
+
+    this._list.push(probe);
+    this._mustClear = true;
+    return true;
+  }
+
+  remove(probe) {
+    this._list = this._list.filter((p) => p !== probe);
+    this._mustClear = true;
+  }
+
+  clear() {
+    this._list = [];
+  }
+
+  /**
+   * Counts the particles that crossed the probes during the last update.
+   * @param {WebGLRenderingContext} gl
+   * @param {Particles} particles
+   * @param {number} dt in seconds of simulation
+   */
+  count(gl, particles, dt) {
+    const VAO = particles.positionsVAO;
+    if (!this._supported || this._list.length === 0 || VAO === null) {
+      return;
+    }
+
+    if (particles.loadPositionsStr !== this._loadPositionsStr) {
+      this._loadPositionsStr = particles.loadPositionsStr;
+      if (this._countShader !== null) {
+        gl.deleteProgram(this._countShader);
+      }
+      this._countShader = ProbesShaders.getCountShader(gl, this._loadPositionsStr);
+    }
+
+    /* Each texel is incremented at most once per particle and per update */
+    const maxExactCount = Probes.maxExactCount(this._fullFloat);
+    const nbRows = Probes.MIN_ROWS * Math.pow(2, Math.max(0,
+      Math.ceil(Math.log2(particles.nbParticles / (Probes.MIN_ROWS * maxExactCount)))));
+    if (nbRows !== this._nbRows) {
+      this._resize(gl, nbRows);
+    }
+    const maxIncrement = Math.ceil(particles.nbParticles / this._nbRows);
+
+    this._FBO.bind(gl, this._texture, null);
+    gl.clearColor(0.0, 0.0, 0.0, 0.0); //may have been changed for display
+    if (this._mustClear) {
+      gl.clear(gl.COLOR_BUFFER_BIT);
+      this._windowTime = 0;
+      this._maxCount = 0;
+      this._mustClear = false;
+    } else if (this._maxCount + maxIncrement > maxExactCount) {
+      /* Even if the previous window is still being read */
+      this._readCounts(gl);
+    }
+
+    let probes = new Float32Array(4 * Probes.MAX);
+    let types = new Int32Array(Probes.MAX);
+    this._list.forEach((probe, i) => {
+      probes.set([probe.start[0], probe.start[1], probe.end[0], probe.end[1]], 4 * i);
+      types[i] = probe.type;
+    });
+    this._countShader.u["uProbesCount"].value = this._list.length;
+    this._countShader.u["uProbes[0]"].value = probes;
+    this._countShader.u["uProbeTypes[0]"].value = types;
+    this._countShader.u["uNbRows"].value = this._nbRows;
+
+    gl.useProgram(this._countShader);
+    this._countShader.bindUniforms(gl);
+    gl.bindVertexArray(VAO);
+
+    gl.enable(gl.BLEND);
+    gl.blendFunc(gl.ONE, gl.ONE);
+    gl.drawArraysInstanced(gl.POINTS, 0, particles.nbParticles, this._list.length);
+    gl.disable(gl.BLEND);
+
+    gl.bindVertexArray(null);
+    gl.useProgram(null);
+
+    this._windowTime += dt;
+    this._maxCount += maxIncrement;
+    if (this._windowTime >= Probes.WINDOW && !this._reading) {
+      this._readCounts(gl);
+    }
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+  }
+
+  /**
+   * Asynchronously turns the counts of the window into rates,
+   * and starts a new window. The FBO must be bound.
+   */
+  _readCounts(gl) {
+    const probes = this._list.slice();
+    const duration = this._windowTime;
+    const nbRows = this._nbRows;
+    let counts = new Float32Array(4 * Probes.MAX * nbRows);
+
+    this._reading = true;
+    Utils.readPixelsAsync(gl, 0, 0, Probes.MAX, nbRows,
+      gl.RGBA, gl.FLOAT, counts).then(() => {
+      probes.forEach((probe, i) => {
+        let total = 0;
+        for (let row = 0; row < nbRows; ++row) {
+          total += counts[4 * (row * Probes.MAX + i)];
+        }
+        probe.record(total / duration);
+      });
+    }).catch((error) => {
+      console.log("Could not read the probes back: " + error.message);
+    }).finally(() => {
+      this._reading = false;
+    });
+
+    gl.clear(gl.COLOR_BUFFER_BIT);
+    this._windowTime = 0;
+    this._maxCount = 0;
+  }
+
+  /**
+   * Reallocates the counts, which are lost.
+   */
+  _resize(gl, nbRows) {
+    gl.deleteTexture(this._texture);
+    gl.deleteFramebuffer(this._FBO);
+    this._nbRows = nbRows;
+    this._texture = Probes.initTexture(gl, Probes.MAX, nbRows, this._fullFloat);
+    this._FBO = FBO.create(gl, Probes.MAX, nbRows);
+    this._mustClear = true;
+  }
+
+  /**
+   * Displays the probes and the preview, if any.
+   * @param {WebGLRenderingContext} gl
+   */
+  draw(gl) {
+    let lines = [];
+    let ranges = [];
+    const probes = (this.preview !== null) ? this._list.concat([this.preview]) : this._list;
+    probes.forEach((probe, i) => {
+      const first = lines.length / 2;
+      const [x1, y1] = probe.start;
+      const [x2, y2] = probe.end;
+      if (probe.type === Probe.LINE) {
+        lines.push(x1, y1, x2, y2);
+      } else {
+        lines.push(x1, y1, x2, y1,  x2, y1, x2, y2,
+                   x2, y2, x1, y2,  x1, y2, x1, y1);
+      }
+      const color = (probe === this.preview) ? [1, 1, 1] : Probes.COLORS[i];
+      ranges.push({first: first, count: lines.length / 2 - first, color: color});
+    });
+    if (lines.length === 0) {
+      return;
+    }
+
+    gl.bindBuffer(gl.ARRAY_BUFFER, this._linesVBO);
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(lines), gl.STREAM_DRAW);
+    gl.bindBuffer(gl.ARRAY_BUFFER, null);
+
+    gl.useProgram(this._drawShader);
+    gl.bindVertexArray(this._linesVAO);
+    for (let range of ranges) {
+      this._drawShader.u["uColor"].value = range.color.concat([1]);
+      this._drawShader.bindUniforms(gl);
+      gl.drawArrays(gl.LINES, range.first, range.count);
+    }
+    gl.bindVertexArray(null);
+    gl.useProgram(null);
+  }
+
+  static initTexture(gl, width, height, fullFloat) {
+    let texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    if (fullFloat) {
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA32F, width, height, 0, gl.RGBA, gl.FLOAT, null);
+    } else {
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA16F, width, height, 0, gl.RGBA, gl.HALF_FLOAT, null);
+    }
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    return texture;
+  }
+}
@@ -0,0 +1,151 @@
+"use strict";
+
+/**
+ * Seeded generator of waterfall scenes: two cliffs with ledges sticking
+ * out of them alternately, a ground with basins, and boulders lying on it.
+ * Every shape is a polygon in [0,1]x[0,1], added to the static obstacles
+ * with the current material. A given seed always gives the same scene.
+ */
+class SceneGenerator {
+  /**
+   * @param {object} params optional seed (integer), roughness (in [0,1]),
+   *                 nbLedges, and gapWidth (space left between the tip of a
+   *                 ledge and the opposite cliff, relative to the width).
+   */
+  constructor(params = {}) {
+    this.seed = params.seed || 0;
+    this.roughness = (typeof params.roughness !== typeof undefined) ? params.roughness : 0.5;
+    this.nbLedges = (typeof params.nbLedges !== typeof undefined) ? params.nbLedges : 4;
+    this.gapWidth = params.gapWidth || 0.15;
+  }
+
+  static get MAX_LEDGES() {
+    return 8;
+  }
+
+  /**
+   * @param {number} aspectRatio width / height of the map, so that boulders are round
+   * @returns {object} array of polygons, each being an array of [x,y] in [0,1]x[0,1]
+   *          with at most ObstacleMap.MAX_POLYGON_VERTICES vertices
+   */
+  polygons(aspectRatio = 1) {
+    const random = Utils.seededRandom(this.seed);
+    const roughness = Math.min(1, Math.max(0, this.roughness));
+    let polygons = [];
+
+    /* Cliffs, as the width of the wall at regularly spaced heights */
+    const nbCliffPoints = 21;
+    const leftCliff = SceneGenerator._noise(random, nbCliffPoints, 0.12, 0.08 * roughness);
+    const rightCliff = SceneGenerator._noise(random, nbCliffPoints, 0.12, 0.08 * roughness);
+    const cliffAt = (cliff, y) => {
+      const t = y * (nbCliffPoints - 1);
+      const i = Math.min(Math.floor(t), nbCliffPoints - 2);
+      return cliff[i] + (t - i) * (cliff[i + 1] - cliff[i]);
+    };
+    const heights = leftCliff.map((_, i) => i / (nbCliffPoints - 1));
+    polygons.push([[0, 0]].concat(heights.map((y, i) => [leftCliff[i], y]), [[0, 1]]));
+    polygons.push([[1, 1]].concat(heights.map((y, i) => [1 - rightCliff[i], y]).reverse(), [[1, 0]]));
+
+    /* Ledges, from the top down, each one sloping towards its tip
+     * so that water falls from it onto the next one */
+    const nbLedges = Math.min(this.nbLedges, SceneGenerator.MAX_LEDGES);
+    let fromLeft = random() < 0.5;
+    for (let i = 0; i < nbLedges; ++i) {
+      const y = 0.85 - (i + 0.5 + 0.4 * (random() - 0.5)) * 0.6 / nbLedges;
+      const thickness = 0.02 + 0.02 * random();
+      const drop = 0.02 + 0.04 * random();
+      const opposite = fromLeft ? 1 - cliffAt(rightCliff, y) : cliffAt(leftCliff, y);
+      const own = fromLeft ? cliffAt(leftCliff, y) : 1 - cliffAt(rightCliff, y);
+      const length = Math.abs(opposite - own) - this.gapWidth;
+      if (length > 0) {
+        polygons.push(SceneGenerator._ledge(random, own, y, length, thickness, drop, roughness, fromLeft));
+      }
+      fromLeft = !fromLeft;
+    }
+
+    /* Ground, with one or two basins between rims */
+    const nbGroundPoints = 29;
+    let ground = SceneGenerator._noise(random, nbGroundPoints, 0.07, 0.03 * roughness);
+    const nbBasins = 1 + Math.floor(2 * random());
+    for (let b = 0; b < nbBasins; ++b) {
+      const center = (b + 0.25 + 0.5 * random()) / nbBasins;
+      const halfWidth = 0.06 + 0.06 * random();
+      ground = ground.map((h, i) => {
+        const d = Math.abs(i / (nbGroundPoints - 1) - center);
+        if (d < halfWidth) {
+          return 0.015;
+        }
+        return (d < halfWidth + 0.04) ? h + 0.04 : h;
+      });
+    }
+    polygons.push([[1, 0], [0, 0]].concat(ground.map((h, i) => [i / (nbGroundPoints - 1), h])));
+
+    /* Boulders lying on the ground */
+    const nbBoulders = 2 + Math.floor(3 * random());
+    for (let b = 0; b < nbBoulders; ++b) {
+      const x = 0.2 + 0.6 * random();
+      const radius = 0.02 + 0.03 * random();
+      const h = ground[Math.round(x * (nbGroundPoints - 1))];
+      polygons.push(SceneGenerator._boulder(random, [x, h + 0.5 * radius], radius,
+        aspectRatio, roughness));
+    }
+
+    return polygons;
+  }
+
+  /**
+   * Adds the scene to the static obstacles.
+   * @param {WebGLRenderingContext} gl
+   * @param {ObstacleMap} obstacles
+   */
+  generate(gl, obstacles) {
+    const aspectRatio = gl.drawingBufferWidth / gl.drawingBufferHeight;
+    for (let polygon of this.polygons(aspectRatio)) {
+      obstacles.addStaticPolygon(gl, polygon);
+    }
+  }
+
+  /**
+   * Random walk around a base value, staying within the amplitude.
+   */
+  static _noise(random, nbPoints, base, amplitude) {
+    let values = [];
+    let offset = 0;
+    for (let i = 0; i < nbPoints; ++i) {
+      offset += amplitude * (random() - 0.5);
+      offset = Math.min(amplitude, Math.max(-amplitude, offset));
+      values.push(base + offset);
+    }
+    return values;
+  }
+
+  /**
+   * Slab starting inside the cliff, with a bumpy top.
+   */
+  static _ledge(random, wall, y, length, thickness, drop, roughness, fromLeft) {
+    const side = fromLeft ? 1 : -1;
+    const start = fromLeft ? 0 : 1;
+    const tip = wall + side * length;
+    const nbBumps = 6;
+
+    let top = [];
+    for (let i = 0; i <= nbBumps; ++i) {
+      const t = i / nbBumps;
+      const bump = (i > 0 && i < nbBumps) ? 0.01 * roughness * (random() - 0.5) : 0;
+      top.push([wall + t * (tip - wall), y - t * drop + bump]);
+    }
+    return [[start, y]].concat(top, [[tip, y - drop - thickness], [start, y - thickness]]);
+  }
+
+  static _boulder(random, center, radius, aspectRatio, roughness) {
+    const nbVertices = 12;
+    let vertices = [];
+    for (let i = 0; i < nbVertices; ++i) {
+      const angle = 2 * Math.PI * i / nbVertices;
+      const r = radius * (1 + 0.4 * roughness * (random() - 0.5));
+      vertices.push([center[0] + r * Math.cos(angle) / aspectRatio,
+                     center[1] + r * Math.sin(angle)]);
+    }
+    return vertices;
+  }
+}
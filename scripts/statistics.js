@@ -0,0 +1,82 @@
+"use strict";
+
+/**
+ * Class for computing statistics about particles read back from the GPU,
+ * see Particles.readback. Dead particles are ignored, and each particle
+ * has a unit mass.
+ */
+class Statistics {
+  /**
+   * @param {object} state as returned by Particles.readback
+   * @param {number} histogramWidth number of columns of the density histogram
+   * @param {number} histogramHeight number of rows of the density histogram
+   */
+  constructor(state, histogramWidth = 16, histogramHeight = 16) {
+    const width = state.worldSize.width;
+    const height = state.worldSize.height;
+    const positions = state.positions;
+    const velocities = state.velocities;
+
+    this._histogram = {
+      width: histogramWidth,
+      height: histogramHeight,
+      counts: new Uint32Array(histogramWidth * histogramHeight)
+    };
+
+    let nbAlive = 0;
+    let totalSpeed = 0;
+    let totalSqSpeed = 0;
+    for (let i = 0; i < state.nbParticles; ++i) {
+      const x = positions[2*i] / width + 0.5;
+      const y = positions[2*i+1] / height + 0.5;
+      if (y < 0) {
+        continue; //dead
+      }
+
+      const vx = velocities[2*i];
+      const vy = velocities[2*i+1];
+      const sqSpeed = vx * vx + vy * vy;
+      ++nbAlive;
+      totalSpeed += Math.sqrt(sqSpeed);
+      totalSqSpeed += sqSpeed;
+
+      /* Particles outside of the world are not counted */
+      if (x >= 0 && x < 1 && y < 1) {
+        const column = Math.floor(x * histogramWidth);
+        const row = Math.floor(y * histogramHeight);
+        this._histogram.counts[row * histogramWidth + column]++;
+      }
+    }
+
+    this._nbAlive = nbAlive;
+    this._meanSpeed = (nbAlive > 0) ? totalSpeed / nbAlive : 0;
+    this._kineticEnergy = 0.5 * totalSqSpeed;
+  }
+
+  get nbAlive() {
+    return this._nbAlive;
+  }
+
+  /**
+   * In pixels per second.
+   */
+  get meanSpeed() {
+    return this._meanSpeed;
+  }
+
+  /**
+   * Sum of the kinetic energies of the particles, in pixels²/s².
+   */
+  get kineticEnergy() {
+    return this._kineticEnergy;
+  }
+
+  /**
+   * Number of particles in each cell of a grid covering the world.
+   * @returns {object} {width, height, counts}, the counts being stored
+   *          row by row, starting from the bottom of the world.
+   */
+  get densityHistogram() {
+    return this._histogram;
+  }
+}
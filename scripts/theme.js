@@ -0,0 +1,71 @@
+"use strict";
+
+/**
+ * Look of the fluid: lighting of its surface when displayed as a fluid,
+ * colors of the water and color of the background.
+ * Colors are [r,g,b] in [0,1], the background being [r,g,b,a].
+ */
+class Theme {
+  /**
+   * @param {object} params optional name, lightDirection ([x,y,z]),
+   *                 diffuseStrength, specularStrength, shininess, specularColor,
+   *                 waterSlowColor, waterFastColor and background.
+   *                 The defaults are the ones of the "default" preset.
+   */
+  constructor(params = {}) {
+    const defined = (value, byDefault) => (typeof value !== typeof undefined) ? value : byDefault;
+    this.name = params.name || "custom";
+    this.lightDirection = params.lightDirection || [0.578, 0.578, -0.578];
+    this.diffuseStrength = defined(params.diffuseStrength, 0.05);
+    this.specularStrength = defined(params.specularStrength, 50);
+    this.shininess = defined(params.shininess, 1);
+    this.specularColor = params.specularColor || [1, 1, 1];
+    this.waterSlowColor = params.waterSlowColor || Particles.SPECIES[0].slowColor;
+    this.waterFastColor = params.waterFastColor || Particles.SPECIES[0].fastColor;
+    this.background = params.background || [0, 0, 0, 0];
+  }
+
+  /**
+   * Named themes. A new list is returned each time, so that
+   * the themes can be modified.
+   */
+  static get PRESETS() {
+    return [
+      new Theme({name: "default"}),
+      new Theme({name: "clear water", lightDirection: [0.578, 0.578, -0.578],
+        diffuseStrength: 0.04, specularStrength: 80, shininess: 4, specularColor: [1, 1, 1],
+        waterSlowColor: [0.8, 0.95, 1], waterFastColor: [0.1, 0.45, 0.9],
+        background: [0.9, 0.96, 1, 1]}),
+      new Theme({name: "muddy river", lightDirection: [-0.5, 0.7, -0.5],
+        diffuseStrength: 0.08, specularStrength: 15, shininess: 2, specularColor: [1, 0.95, 0.8],
+        waterSlowColor: [0.6, 0.5, 0.3], waterFastColor: [0.35, 0.25, 0.1],
+        background: [0.75, 0.7, 0.6, 1]}),
+      new Theme({name: "lava", lightDirection: [0.3, 0.8, -0.5],
+        diffuseStrength: 0.1, specularStrength: 30, shininess: 1, specularColor: [1, 0.9, 0.4],
+        waterSlowColor: [1, 0.85, 0.2], waterFastColor: [0.85, 0.1, 0],
+        background: [0.12, 0.05, 0.05, 1]}),
+    ];
+  }
+
+  /**
+   * @param {string} name
+   * @returns {Theme} the preset of this name, or null
+   */
+  static fromName(name) {
+    return Theme.PRESETS.find((theme) => theme.name === name) || null;
+  }
+
+  /**
+   * The background is not applied: it is up to the caller to clear with it.
+   * @param {Fluidify} fluidify
+   * @param {Particles} particles
+   */
+  apply(fluidify, particles) {
+    fluidify.lightDirection = this.lightDirection;
+    fluidify.diffuseStrength = this.diffuseStrength;
+    fluidify.specularStrength = this.specularStrength;
+    fluidify.shininess = this.shininess;
+    fluidify.specularColor = this.specularColor;
+    particles.setSpeciesColors(0, this.waterSlowColor, this.waterFastColor);
+  }
+}